@@ -0,0 +1,808 @@
+#!/usr/bin/env node
+
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var optimist = require('optimist');
+var path = require('path');
+var shell = require('shelljs');
+var util = require('util');
+
+var AuditUtil = require('../lib/audit/util');
+var CoreUtil = require('../lib/util');
+var HookUtil = require('../lib/hooks/util');
+var PackageUtil = require('../lib/package/util');
+var PipelineUtil = require('../lib/pipeline/util');
+var ReleaseUtil = require('../lib/release/util');
+var RetentionUtil = require('../lib/retention/util');
+var UploadUtil = require('../lib/upload/util');
+
+// The process exit codes for each kind of failure. These are documented in the README, so they should not change
+var ERR_CODES = {
+    'UNKNOWN': 1,
+    'INVALID_ARGUMENTS': 2,
+    'INVALID_PACKAGE_JSON': 3,
+    'INVALID_REPOSITORY': 4,
+    'INVALID_VERSION': 5,
+    'TESTS_FAILED': 6,
+    'RELEASE_FAILED': 7,
+    'PACKAGE_FAILED': 8,
+    'CHECKSUM_FAILED': 9,
+    'UPLOAD_FAILED': 10,
+    'NOT_REPRODUCIBLE': 11,
+    'PRUNE_FAILED': 12,
+    'HOOK_FAILED': 13,
+    'AUDIT_FAILED': 14
+};
+
+var argv = optimist
+    .usage([
+        'Release, package and upload an OAE component.',
+        '',
+        'Usage: $0 <command> [options]',
+        '',
+        'Commands:',
+        '  release                         Validate the repository, run the unit tests, bump the version, then commit, tag and push the release',
+        '  preflight                       Report every reason why the repository is not ready for a release',
+        '  package                         Package the release files of the current checkout and create their checksums and SHA256SUMS manifest',
+        '  checksum <package>              Create the checksum files of a package',
+        '  upload <package> [checksum...]  Upload a package and its checksum files to Amazon S3, an S3-compatible store, a directory or a remote host',
+        '  verify <package> [checksum]     Verify a package against its checksum file or SHA256SUMS manifest, and its signature',
+        '  verify-reproducible <package>   Verify a reproducible package by rebuilding it from the current checkout',
+        '  prune                           Delete the published versions that the retention policies no longer keep',
+        '  pipeline                        Release, package and upload in one go, saving the progress so a failed run can be resumed with --resume',
+        '',
+        'Exit codes:',
+        _.map(ERR_CODES, function(code, name) {
+            return util.format('  %s%s', (code + '    ').slice(0, 4), name);
+        }).join('\n')
+    ].join('\n'))
+    .options('r', {
+        'alias': 'remote',
+        'default': 'origin',
+        'describe': 'The name of the git remote to which the release is pushed'
+    })
+    .options('t', {
+        'alias': 'to',
+        'string': true,
+        'describe': 'The target version of the release, or one of the bump keywords "major", "minor", "patch" or "prerelease"'
+    })
+    .options('preid', {
+        'string': true,
+        'describe': 'The prerelease identifier to use when bumping with "prerelease" (e.g., "rc")'
+    })
+    .options('n', {
+        'alias': 'name',
+        'describe': 'The expected name of the module in package.json. Default: the name found in package.json'
+    })
+    .options('d', {
+        'alias': 'dest',
+        'default': 'dist',
+        'describe': 'The directory in which the release package is created'
+    })
+    .options('f', {
+        'alias': 'filename',
+        'describe': 'The filename (without the extension) of the package. Default: <name>-<git version>'
+    })
+    .options('format', {
+        'default': 'tar.gz',
+        'describe': 'The format(s) in which to package the release, comma-separated: "tar.gz", "tar.xz", "zip" or "deb"'
+    })
+    .options('reproducible', {
+        'boolean': true,
+        'describe': 'Create packages that are identical whenever they are created from the same commit'
+    })
+    .options('sign', {
+        'string': true,
+        'describe': 'Sign the SHA256SUMS manifest of the packages with "gpg" or "minisign"'
+    })
+    .options('sign-key', {
+        'string': true,
+        'describe': 'The gpg key id or minisign secret key file with which to sign the SHA256SUMS manifest'
+    })
+    .options('signature', {
+        'string': true,
+        'describe': 'The detached signature of the checksum file to verify. Default: the checksum file with a .asc, .sig or .minisig extension'
+    })
+    .options('public-key', {
+        'string': true,
+        'describe': 'The minisign public key file with which to verify the signature of the checksum file'
+    })
+    .options('require-signature', {
+        'boolean': true,
+        'describe': 'Fail to verify a package whose checksum file is not signed'
+    })
+    .options('storage', {
+        'default': 's3',
+        'describe': 'Where to upload the package: "s3" (Amazon S3 or an S3-compatible store), "local" (a directory, e.g. an NFS mount) or "ssh" (a directory of a remote host)'
+    })
+    .options('b', {
+        'alias': 'bucket',
+        'describe': 'The name of the S3 bucket to which to upload the package'
+    })
+    .options('g', {
+        'alias': 'region',
+        'default': 'us-east-1',
+        'describe': 'The Amazon S3 region of the bucket'
+    })
+    .options('endpoint', {
+        'describe': 'The url of an S3-compatible store such as MinIO or Ceph (e.g., "http://minio.example.com:9000"). Default: Amazon S3'
+    })
+    .options('part-size', {
+        'default': 16,
+        'describe': 'The size in MB of the parts in which large files are uploaded to S3'
+    })
+    .options('concurrency', {
+        'default': 4,
+        'describe': 'The number of parts to upload to S3 in parallel'
+    })
+    .options('retries', {
+        'default': 5,
+        'describe': 'The number of times to retry a failed request to S3'
+    })
+    .options('storage-dir', {
+        'describe': 'The directory in which to upload the package with the "local" and "ssh" storages'
+    })
+    .options('ssh-host', {
+        'describe': 'The remote host, optionally with the user, to which to upload the package with the "ssh" storage (e.g., "releases@files.example.com")'
+    })
+    .options('ssh-port', {
+        'describe': 'The ssh port of the remote host'
+    })
+    .options('ssh-identity', {
+        'describe': 'The private key with which to authenticate to the remote host'
+    })
+    .options('ssh-transfer', {
+        'default': 'rsync',
+        'describe': 'How to transfer the package to the remote host: "rsync" or "sftp"'
+    })
+    .options('skip-verify', {
+        'boolean': true,
+        'describe': 'Do not download and verify the uploaded files'
+    })
+    .options('skip-index', {
+        'boolean': true,
+        'describe': 'Do not add the release to the index.json and index.html files of the base directory'
+    })
+    .options('base-dir', {
+        'describe': 'The base directory in the storage in which to upload the package (e.g., "oae", "etherpad")'
+    })
+    .options('force-overwrite', {
+        'boolean': true,
+        'describe': 'Overwrite the uploaded files that already exist. Every overwrite is recorded in the audit.log file of the base directory'
+    })
+    .options('keep', {
+        'string': true,
+        'describe': 'With prune, the number of versions of a channel to keep per release line (e.g., "release=3"). Can be repeated, and overrides the "retention" of the release configuration'
+    })
+    .options('max-age', {
+        'string': true,
+        'describe': 'With prune, the number of days after which versions of a channel are deleted (e.g., "nightly=30"). Can be repeated, and overrides the "retention" of the release configuration'
+    })
+    .options('path-template', {
+        'describe': 'The template of the directory in which to upload the package. Default: the "uploadPathTemplate" of the release configuration, or "{base}/{major}.{minor}/{channel}"'
+    })
+    .options('advisories', {
+        'describe': 'The advisory database against which to check the versions of the dependencies. Default: the "advisories" of the "audit" release configuration'
+    })
+    .options('internal', {
+        'string': true,
+        'describe': 'Also bump the internal node_modules/oae-* packages in lockstep, to this version or with this bump keyword'
+    })
+    .options('changelog', {
+        'boolean': true,
+        'describe': 'Prepend the changes since the previous tag to CHANGELOG.md and include it in the release commit'
+    })
+    .options('keep-shrinkwrap', {
+        'boolean': true,
+        'describe': 'Keep npm-shrinkwrap.json committed after the release has been tagged'
+    })
+    .options('skip-tests', {
+        'boolean': true,
+        'describe': 'Do not run the unit tests before releasing'
+    })
+    .options('skip-audit', {
+        'boolean': true,
+        'describe': 'Do not audit the licenses and versions of the dependencies before releasing and packaging'
+    })
+    .options('resume', {
+        'boolean': true,
+        'describe': 'With pipeline, resume the previous run from the step that failed'
+    })
+    .options('state-file', {
+        'describe': 'With pipeline, the file in which its progress is saved. Default: oae-release-pipeline.json in the .git directory'
+    })
+    .options('dry-run', {
+        'boolean': true,
+        'describe': 'Run all validations and report the changes that would be made, without making them'
+    })
+    .options('q', {
+        'alias': 'quiet',
+        'boolean': true,
+        'describe': 'Only show warnings and errors'
+    })
+    .options('v', {
+        'alias': 'verbose',
+        'boolean': true,
+        'describe': 'Also show debug messages, such as the commands that are executed and how long they took'
+    })
+    .options('log-format', {
+        'default': 'text',
+        'describe': 'The format of the messages on the console: "text" or "json" (one JSON object per line)'
+    })
+    .options('log-file', {
+        'describe': 'The file to which to append all messages, including debug messages, as lines of JSON'
+    })
+    .options('no-color', {
+        'describe': 'Do not colour the messages. Colours are also disabled when the output is not a terminal or the NO_COLOR environment variable is set'
+    })
+    .options('h', {
+        'alias': 'help',
+        'boolean': true,
+        'describe': 'Show this help'
+    })
+    .argv;
+
+/*!
+ * Exit with the invalid arguments error code after showing the usage
+ *
+ * @param  {String}     msg     The message that describes what is wrong with the arguments
+ */
+var _invalidArguments = function(msg) {
+    optimist.showHelp();
+    CoreUtil.logFail(msg);
+    return process.exit(ERR_CODES.INVALID_ARGUMENTS);
+};
+
+/*!
+ * Load the package.json file of the current working directory
+ *
+ * @return {Object}     The parsed and validated package.json file
+ */
+var _loadPackageJson = function() {
+    var packageJsonPath = path.resolve('package.json');
+    var expectedName = argv.name;
+    if (!expectedName) {
+        // Without an explicit name, trust whatever module is in the current directory
+        try {
+            expectedName = require(packageJsonPath).name;
+        } catch (ex) {}
+    }
+
+    return CoreUtil.loadPackageJson(packageJsonPath, expectedName, ERR_CODES.INVALID_PACKAGE_JSON);
+};
+
+/*!
+ * Create the storage backend selected with the --storage option
+ *
+ * @param  {Number}     errCode     The process error code to return if the storage backend cannot be created
+ * @return {Object}                 The storage backend
+ */
+var _createStorage = function(errCode) {
+    if (argv.storage === 's3' && !argv.bucket) {
+        return _invalidArguments('The Amazon S3 bucket must be specified with --bucket');
+    }
+
+    return UploadUtil.createStorage(argv.storage, {
+        'bucket': argv.bucket,
+        'region': argv.region,
+        'endpoint': argv.endpoint,
+        'partSize': argv['part-size'] * 1024 * 1024,
+        'concurrency': argv.concurrency,
+        'retries': argv.retries,
+        'directory': argv['storage-dir'],
+        'host': argv['ssh-host'],
+        'port': argv['ssh-port'],
+        'identityFile': argv['ssh-identity'],
+        'transfer': argv['ssh-transfer']
+    }, errCode);
+};
+
+/*!
+ * Get the retention policies from the release configuration, overridden by the --keep and --max-age options
+ *
+ * @return {Object}     The retention policies, keyed by channel
+ */
+var _getRetentionPolicies = function() {
+    var policies = _.clone(CoreUtil.loadReleaseConfig('.', ERR_CODES.INVALID_PACKAGE_JSON).retention || {});
+    _.each({'keep': 'keep', 'max-age': 'maxAge'}, function(rule, option) {
+        _.each(_.compact(_.flatten([argv[option]])), function(value) {
+            var match = String(value).match(/^([^=]+)=(.*)$/);
+            if (!match) {
+                return _invalidArguments(util.format('The --%s option must be of the form <channel>=<number>. However, it was: %s', option, value));
+            }
+
+            policies[match[1]] = _.extend({}, policies[match[1]]);
+            policies[match[1]][rule] = Number(match[2]);
+        });
+    });
+
+    return policies;
+};
+
+/*!
+ * Get the pipeline step that loads the package.json file of the current working directory as `packageJson` in the
+ * context
+ *
+ * @return {Object}     The pipeline step
+ */
+var _getLoadPackageJsonStep = function() {
+    return {'name': 'loadPackageJson', 'run': function(context) {
+        context.packageJson = _loadPackageJson();
+    }};
+};
+
+/*!
+ * Audit the dependencies of a directory with the audit options of the release configuration. The internal packages of
+ * the component are not dependencies, so they are left out. With --skip-audit, the dependencies are only collected
+ *
+ * @param  {String}     rootDir     The directory whose dependencies to audit
+ * @return {Object[]}               The audited dependencies
+ */
+var _auditDependencies = function(rootDir) {
+    var auditConfig = CoreUtil.loadReleaseConfig('.', ERR_CODES.INVALID_PACKAGE_JSON).audit || {};
+    var opts = {
+        'allowedLicenses': auditConfig.allowedLicenses,
+        'licenses': auditConfig.licenses,
+        'advisoriesPath': argv.advisories || auditConfig.advisories,
+        'ignoreAdvisories': auditConfig.ignoreAdvisories,
+        'exclude': _.pluck(ReleaseUtil.findInternalPackages('.'), 'name')
+    };
+
+    if (argv['skip-audit']) {
+        CoreUtil.logWarn('The audit of the dependencies is skipped, their licenses and versions are not checked');
+        return AuditUtil.collectDependencies(rootDir, ERR_CODES.AUDIT_FAILED, opts);
+    }
+
+    return AuditUtil.auditDependencies(rootDir, ERR_CODES.AUDIT_FAILED, opts);
+};
+
+/*!
+ * Add the files that are generated from the copied release files, before they are packaged: the licenses of the
+ * dependencies and the software bill of materials
+ *
+ * @param  {String}     srcDir          The directory of the copied release files
+ * @param  {Object}     packageJson     The parsed package.json file of the component
+ * @param  {Boolean}    reproducible    Whether the files are created for a reproducible package
+ */
+var _addGeneratedFiles = function(srcDir, packageJson, reproducible) {
+    var dependencies = _auditDependencies(srcDir);
+    AuditUtil.writeThirdPartyLicenses(srcDir, dependencies, ERR_CODES.AUDIT_FAILED);
+
+    var version = CoreUtil.gitVersion(null, ERR_CODES.PACKAGE_FAILED);
+    PackageUtil.createSbom(srcDir, packageJson, version, ERR_CODES.PACKAGE_FAILED, {
+        'dependencies': dependencies,
+        'reproducible': reproducible
+    });
+};
+
+/*!
+ * Store the results file of the unit tests next to the build information of a package. The results are not stored in a
+ * reproducible package, as a rebuild would not have them
+ *
+ * @param  {String}     srcDir          The directory with the files to package
+ * @param  {Object}     [tests]         The summary of the unit tests, from `CoreUtil.runUnitTests()`
+ * @param  {Boolean}    reproducible    Whether the package is reproducible
+ * @return {Object}                     The summary of the unit tests to record in the build information, with the name of the stored `resultsFile` instead of the `resultsPath` of the test run. `undefined` if the unit tests did not run
+ */
+var _saveTestResults = function(srcDir, tests, reproducible) {
+    if (!tests || !tests.resultsPath || reproducible) {
+        return tests;
+    } else if (!shell.test('-f', tests.resultsPath)) {
+        CoreUtil.logWarn('The results of the unit tests are no longer at '.text + tests.resultsPath.warn + ' and are not packaged'.text);
+        return _.omit(tests, 'resultsPath');
+    }
+
+    var resultsFile = util.format('test-results.%s', (tests.resultsFormat === 'junit') ? 'xml' : 'tap');
+    shell.cp('-f', tests.resultsPath, path.join(srcDir, resultsFile));
+    return _.extend(_.omit(tests, 'resultsPath'), {'resultsFile': resultsFile});
+};
+
+/*!
+ * Get the step that validates the repository is ready for a release
+ *
+ * @return {Object}     The pipeline step
+ */
+var _getValidateReleaseStep = function() {
+    return {'name': 'validateRelease', 'run': function(context) {
+        var releaseConfig = CoreUtil.loadReleaseConfig('.', ERR_CODES.INVALID_PACKAGE_JSON);
+        ReleaseUtil.validateRelease(argv.remote, ERR_CODES.INVALID_REPOSITORY, {
+            'branches': releaseConfig.releaseBranches,
+            'packageJson': context.packageJson,
+            'manifest': PackageUtil.loadReleaseManifest('.', ERR_CODES.INVALID_PACKAGE_JSON)
+        });
+    }};
+};
+
+/*!
+ * Get the pipeline steps that validate, test, bump, commit, tag and push a release. The version being released is
+ * stored as `version` in the context
+ *
+ * @return {Object[]}   The pipeline steps
+ */
+var _getReleaseSteps = function() {
+    var steps = [
+        _getLoadPackageJsonStep(),
+        _getValidateReleaseStep(),
+        {'name': 'validateTargetVersion', 'run': function(context) {
+            context.version = ReleaseUtil.validateTargetVersion(context.packageJson, argv.to, argv.remote, ERR_CODES.INVALID_VERSION, {'preid': argv.preid});
+        }}
+    ];
+
+    if (!argv['skip-tests']) {
+        steps.push({'name': 'runUnitTests', 'run': function(context) {
+            var releaseConfig = CoreUtil.loadReleaseConfig('.', ERR_CODES.INVALID_PACKAGE_JSON);
+            context.tests = CoreUtil.runUnitTests(ERR_CODES.TESTS_FAILED, releaseConfig.tests);
+        }});
+    }
+
+    if (!argv['skip-audit']) {
+        steps.push({'name': 'auditDependencies', 'run': function(context) {
+            _auditDependencies('.');
+        }});
+    }
+
+    steps.push({'name': 'bumpPackageJsonVersion', 'undoable': true, 'run': function(context) {
+        var releaseConfig = CoreUtil.loadReleaseConfig('.', ERR_CODES.INVALID_PACKAGE_JSON);
+        ReleaseUtil.bumpPackageJsonVersion('package.json', context.packageJson.version, context.version, ERR_CODES.RELEASE_FAILED, {'extraFiles': releaseConfig.versionFiles});
+    }});
+
+    if (argv.internal) {
+        steps.push({'name': 'bumpInternalPackages', 'undoable': true, 'run': function(context) {
+            ReleaseUtil.bumpInternalPackages('.', argv.internal, argv.remote, ERR_CODES.RELEASE_FAILED);
+        }});
+    }
+
+    if (argv.changelog) {
+        steps.push({'name': 'updateChangelog', 'undoable': true, 'run': function(context) {
+            ReleaseUtil.updateChangelog('CHANGELOG.md', context.version, null, ERR_CODES.RELEASE_FAILED);
+        }});
+    }
+
+    steps.push(
+        {'name': 'shrinkwrap', 'undoable': true, 'run': function(context) {
+            ReleaseUtil.shrinkwrap(ERR_CODES.RELEASE_FAILED);
+        }},
+        {'name': 'gitCommitVersionAndTag', 'checkpoint': true, 'run': function(context) {
+            ReleaseUtil.gitCommitVersionAndTag(context.version, argv.remote, ERR_CODES.RELEASE_FAILED);
+        }}
+    );
+    return steps;
+};
+
+/*!
+ * Get the pipeline step that removes the shrinkwrap once the release has been tagged, unless --keep-shrinkwrap is given
+ *
+ * @return {Object[]}   The pipeline steps
+ */
+var _getRemoveShrinkwrapSteps = function() {
+    if (argv['keep-shrinkwrap']) {
+        return [];
+    }
+
+    return [{'name': 'gitRemoveShrinkwrapAndCommit', 'checkpoint': true, 'run': function(context) {
+        ReleaseUtil.gitRemoveShrinkwrapAndCommit(context.version, argv.remote, ERR_CODES.RELEASE_FAILED);
+    }}];
+};
+
+/*!
+ * Get the pipeline steps that copy, package and checksum the release files of the current checkout. They store the
+ * `srcDir`, `packagePath`, `packagePaths`, `checksumPath`, `checksumPaths`, `manifestPath`, `signaturePath` and
+ * `artifactPaths` (everything to upload, in order) in the context
+ *
+ * @return {Object[]}   The pipeline steps
+ */
+var _getPackageSteps = function() {
+    var dest = path.resolve(argv.dest);
+    return [
+        {'name': 'copyReleaseFiles', 'run': function(context) {
+            var manifest = PackageUtil.loadReleaseManifest('.', ERR_CODES.PACKAGE_FAILED);
+            context.srcDir = PackageUtil.copyReleaseFiles(dest, manifest, ERR_CODES.PACKAGE_FAILED).srcDir;
+        }},
+        {'name': 'addGeneratedFiles', 'run': function(context) {
+            _addGeneratedFiles(context.srcDir, context.packageJson, argv.reproducible);
+        }},
+        {'name': 'packageRelease', 'run': function(context) {
+            var version = CoreUtil.gitVersion(null, ERR_CODES.PACKAGE_FAILED);
+            var filename = argv.filename || util.format('%s-%s', context.packageJson.name, version);
+            var systemInfo = CoreUtil.getSystemInfo();
+            var buildInfoOpts = {'remoteName': argv.remote, 'tests': _saveTestResults(context.srcDir, context.tests, argv.reproducible)};
+            context.version = context.version || version;
+            var buildInfo = PackageUtil.saveBuildInfo(context.srcDir, version, systemInfo, ERR_CODES.PACKAGE_FAILED, _.extend({'reproducible': argv.reproducible}, buildInfoOpts));
+
+            var formats = _.chain([argv.format]).flatten().invoke('split', ',').flatten().compact().value();
+            var packageResult = PackageUtil.packageRelease(context.srcDir, dest, filename, ERR_CODES.PACKAGE_FAILED, {
+                'formats': formats,
+                'reproducible': argv.reproducible
+            });
+            context.packagePath = packageResult.packagePath;
+            context.packagePaths = packageResult.packagePaths;
+
+            // The software bills of materials are also published next to the packages, so they can be inspected
+            // without downloading the packages
+            context.sbomPaths = _.map(PackageUtil.SBOM_EXTENSIONS, function(extension) {
+                var sbomPath = path.join(dest, util.format('%s.%s', filename, extension));
+                shell.cp('-f', path.join(context.srcDir, util.format('sbom.%s', extension)), sbomPath);
+                return sbomPath;
+            });
+
+            // The provenance always describes the build machine, even when the build info of a reproducible package
+            // leaves it out
+            context.provenancePath = path.join(dest, util.format('%s.provenance.json', filename));
+            if (argv.reproducible) {
+                buildInfo = PackageUtil.getBuildInfo(version, systemInfo, ERR_CODES.PACKAGE_FAILED, buildInfoOpts);
+            }
+
+            PackageUtil.createProvenance(context.packagePaths.concat(context.sbomPaths), buildInfo, context.provenancePath, ERR_CODES.PACKAGE_FAILED, {
+                'parameters': {'formats': formats, 'reproducible': !!argv.reproducible}
+            });
+        }},
+        {'name': 'checksumPackage', 'run': function(context) {
+            context.checksumPaths = [];
+            context.artifactPaths = [];
+            _.each(context.packagePaths, function(packagePath) {
+                var checksumResult = PackageUtil.checksumPackage(packagePath, ERR_CODES.CHECKSUM_FAILED);
+                context.checksumPath = context.checksumPath || checksumResult.checksumPath;
+                context.checksumPaths.push.apply(context.checksumPaths, checksumResult.checksumPaths);
+                context.artifactPaths.push.apply(context.artifactPaths, [packagePath].concat(checksumResult.checksumPaths));
+            });
+
+            context.artifactPaths = context.artifactPaths.concat(context.sbomPaths, context.provenancePath);
+            var manifestResult = PackageUtil.createChecksumManifest(context.packagePaths.concat(context.sbomPaths, context.provenancePath), path.join(dest, 'SHA256SUMS'), ERR_CODES.CHECKSUM_FAILED, {
+                'sign': argv.sign,
+                'signKey': argv['sign-key']
+            });
+            context.manifestPath = manifestResult.manifestPath;
+            context.signaturePath = manifestResult.signaturePath || null;
+            context.artifactPaths = _.compact(context.artifactPaths.concat(context.manifestPath, context.signaturePath));
+        }}
+    ];
+};
+
+/*!
+ * Get the pipeline step that uploads the `artifactPaths` of the context to a storage backend. It stores the urls of
+ * the uploaded files as `uploadUrls` in the context
+ *
+ * @param  {Object}     storage     The storage backend to which to upload the files
+ * @return {Object[]}               The pipeline steps
+ */
+var _getUploadSteps = function(storage) {
+    return [{'name': 'upload', 'run': function(context, callback) {
+        if (CoreUtil.isDryRun()) {
+            CoreUtil.logDryRun(util.format('Would upload %s', context.artifactPaths.join(', ')));
+            return callback();
+        }
+
+        var releaseConfig = CoreUtil.loadReleaseConfig('.', ERR_CODES.INVALID_PACKAGE_JSON);
+        var publishOpts = {
+            'verify': !argv['skip-verify'],
+            'index': !argv['skip-index'],
+            'pathTemplate': argv['path-template'] || releaseConfig.uploadPathTemplate,
+            'forceOverwrite': argv['force-overwrite']
+        };
+
+        UploadUtil.publish(storage, argv['base-dir'], context.artifactPaths, publishOpts, function(err, objectPaths) {
+            if (err) {
+                err.errCode = ERR_CODES.UPLOAD_FAILED;
+                CoreUtil.logFail(err.message);
+                return callback(err);
+            }
+
+            context.uploadUrls = _.map(objectPaths, storage.url);
+            CoreUtil.logSuccess('Successfully uploaded the release artifacts');
+            return callback();
+        });
+    }}];
+};
+
+/*!
+ * Run a pipeline with the hooks of the release configuration, and exit with the error code of the step that failed
+ *
+ * @param  {String}     name        The name of the pipeline
+ * @param  {Object[]}   steps       The steps of the pipeline
+ * @param  {Object}     [opts]      The options of the pipeline. See `PipelineUtil.run`
+ */
+var _runPipeline = function(name, steps, opts) {
+    var releaseConfig = CoreUtil.loadReleaseConfig('.', ERR_CODES.INVALID_PACKAGE_JSON);
+    if (releaseConfig.hooks) {
+        HookUtil.validateHooks(releaseConfig.hooks, ERR_CODES.INVALID_PACKAGE_JSON);
+    }
+
+    // Undo the completed release steps when any step fails, as they would otherwise leave the release half done
+    steps = HookUtil.addHooks(steps, releaseConfig.hooks, ERR_CODES.HOOK_FAILED);
+    PipelineUtil.run(name, steps, _.extend({'rollback': ReleaseUtil.rollback}, opts), function(err) {
+        return CoreUtil.handleError(err);
+    });
+};
+
+var commands = {
+
+    /*!
+     * Validate, test, bump, commit, tag and push a release
+     */
+    'release': function() {
+        if (!_.isString(argv.to)) {
+            return _invalidArguments('The target version or bump keyword of the release must be specified with --to');
+        }
+
+        _runPipeline('release', _getReleaseSteps().concat(_getRemoveShrinkwrapSteps()));
+    },
+
+    /*!
+     * Report whether the repository is ready for a release, without changing anything
+     */
+    'preflight': function() {
+        _runPipeline('preflight', [_getLoadPackageJsonStep(), _getValidateReleaseStep()]);
+    },
+
+    /*!
+     * Copy, package and checksum the release files of the current checkout
+     */
+    'package': function() {
+        _runPipeline('package', [_getLoadPackageJsonStep()].concat(_getPackageSteps()));
+    },
+
+    /*!
+     * Create the checksum file of a package
+     */
+    'checksum': function() {
+        var packagePath = argv._[1];
+        if (!packagePath) {
+            return _invalidArguments('The path to the package must be specified');
+        }
+
+        PackageUtil.checksumPackage(packagePath, ERR_CODES.CHECKSUM_FAILED);
+    },
+
+    /*!
+     * Upload a package and its checksum files to a storage backend
+     */
+    'upload': function() {
+        var packagePath = argv._[1];
+        if (!packagePath) {
+            return _invalidArguments('The path to the package must be specified');
+        } else if (!argv['base-dir']) {
+            return _invalidArguments('The base directory in the storage must be specified with --base-dir');
+        }
+
+        var artifactPaths = argv._.slice(1);
+        if (artifactPaths.length === 1) {
+            artifactPaths.push(packagePath + '.sha256.txt');
+        }
+
+        UploadUtil.validatePublish(artifactPaths, ERR_CODES.UPLOAD_FAILED);
+        var storage = _createStorage(ERR_CODES.UPLOAD_FAILED);
+        _runPipeline('upload', _getUploadSteps(storage), {
+            'context': {
+                'version': CoreUtil.gitVersion(null, ERR_CODES.UPLOAD_FAILED),
+                'packagePath': packagePath,
+                'checksumPath': artifactPaths[1],
+                'artifactPaths': artifactPaths
+            }
+        });
+    },
+
+    /*!
+     * Verify a package against its checksum file
+     */
+    'verify': function() {
+        var packagePath = argv._[1];
+        if (!packagePath) {
+            return _invalidArguments('The path to the package must be specified');
+        }
+
+        PackageUtil.verifyPackage(packagePath, argv._[2], ERR_CODES.CHECKSUM_FAILED, {
+            'signaturePath': argv.signature,
+            'publicKey': argv['public-key'],
+            'requireSignature': argv['require-signature']
+        });
+    },
+
+    /*!
+     * Verify a reproducible package by rebuilding it from the current checkout
+     */
+    'verify-reproducible': function() {
+        var packagePath = argv._[1];
+        if (!packagePath) {
+            return _invalidArguments('The path to the package must be specified');
+        }
+
+        var version = CoreUtil.gitVersion(null, ERR_CODES.PACKAGE_FAILED);
+        var manifest = PackageUtil.loadReleaseManifest('.', ERR_CODES.PACKAGE_FAILED);
+        PackageUtil.verifyReproducible(path.resolve(packagePath), manifest, version, ERR_CODES.NOT_REPRODUCIBLE, {
+            'prepare': function(srcDir) {
+                _addGeneratedFiles(srcDir, _loadPackageJson(), true);
+            }
+        });
+    },
+
+    /*!
+     * Release, package and upload in one go, saving the progress so a failed run can be resumed
+     */
+    'pipeline': function() {
+        if (!argv.resume && !_.isString(argv.to)) {
+            return _invalidArguments('The target version or bump keyword of the release must be specified with --to');
+        } else if (!argv['base-dir']) {
+            return _invalidArguments('The base directory in the storage must be specified with --base-dir');
+        }
+
+        // Fail on invalid storage options before anything is released
+        var storage = _createStorage(ERR_CODES.UPLOAD_FAILED);
+
+        var statePath = argv['state-file'];
+        if (!statePath) {
+            var gitDir = CoreUtil.exec('git rev-parse --git-dir', 'Error finding the .git directory of the repository', ERR_CODES.INVALID_REPOSITORY);
+            statePath = path.join(gitDir.trim(), 'oae-release-pipeline.json');
+        }
+
+        var steps = _.flatten([_getReleaseSteps(), _getPackageSteps(), _getUploadSteps(storage), _getRemoveShrinkwrapSteps()]);
+        _runPipeline('release', steps, {'statePath': statePath, 'resume': argv.resume});
+    },
+
+    /*!
+     * Delete the published versions that the retention policies no longer keep
+     */
+    'prune': function() {
+        if (!argv['base-dir']) {
+            return _invalidArguments('The base directory in the storage must be specified with --base-dir');
+        }
+
+        var policies = _getRetentionPolicies();
+        RetentionUtil.validatePolicies(policies, ERR_CODES.INVALID_ARGUMENTS);
+        var storage = _createStorage(ERR_CODES.PRUNE_FAILED);
+
+        RetentionUtil.prune(storage, argv['base-dir'], policies, function(err) {
+            if (err) {
+                err.errCode = ERR_CODES.PRUNE_FAILED;
+                CoreUtil.logFail(err.message);
+                return CoreUtil.handleError(err);
+            }
+        });
+    }
+};
+
+if (argv.help) {
+    optimist.showHelp();
+    return process.exit(0);
+}
+
+if (argv.quiet && argv.verbose) {
+    return _invalidArguments('Only one of --quiet and --verbose can be specified');
+}
+
+try {
+    CoreUtil.configureLogging({
+        'level': argv.quiet ? 'warn' : (argv.verbose ? 'debug' : 'info'),
+        'format': argv['log-format'],
+        'color': (argv.color === false) ? false : undefined,
+        'file': argv['log-file']
+    }, ERR_CODES.INVALID_ARGUMENTS);
+} catch (err) {
+    return CoreUtil.handleError(err);
+}
+
+var command = commands[argv._[0]];
+if (!command) {
+    return _invalidArguments(argv._[0] ? util.format('Unknown command "%s"', argv._[0]) : 'A command must be specified');
+}
+
+CoreUtil.setDryRun(argv['dry-run']);
+
+try {
+    command();
+} catch (err) {
+    CoreUtil.handleError(err);
+}
@@ -13,7 +13,13 @@
  * permissions and limitations under the License.
  */
 
+module.exports.AuditUtil = require('./lib/audit/util');
+module.exports.ChangelogUtil = require('./lib/changelog/util');
 module.exports.CoreUtil = require('./lib/util');
+module.exports.HookUtil = require('./lib/hooks/util');
 module.exports.PackageUtil = require('./lib/package/util');
+module.exports.PipelineUtil = require('./lib/pipeline/util');
 module.exports.ReleaseUtil = require('./lib/release/util');
-module.exports.UploadUtil = require('./lib/upload/util');
\ No newline at end of file
+module.exports.RetentionUtil = require('./lib/retention/util');
+module.exports.UploadUtil = require('./lib/upload/util');
+module.exports.ReleaseError = require('./lib/error');
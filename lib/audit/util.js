@@ -0,0 +1,555 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var fs = require('fs');
+var path = require('path');
+var semver = require('semver');
+var shell = require('shelljs');
+var util = require('util');
+
+var CoreUtil = require('../util');
+
+// The licenses of the dependencies that can be shipped along with an ECL-2.0 component, as SPDX identifiers
+var ALLOWED_LICENSES = module.exports.ALLOWED_LICENSES = [
+    '0BSD',
+    'Apache-2.0',
+    'BSD-2-Clause',
+    'BSD-3-Clause',
+    'CC0-1.0',
+    'ECL-2.0',
+    'ISC',
+    'MIT',
+    'Unlicense',
+    'WTFPL',
+    'Zlib'
+];
+
+// The name of the file in which the licenses of the shipped dependencies are collected
+var THIRD_PARTY_LICENSES_FILENAME = module.exports.THIRD_PARTY_LICENSES_FILENAME = 'THIRD-PARTY-LICENSES';
+
+// The SPDX identifiers of license names that older modules use in their package.json file. A bare "BSD" has no alias,
+// as it does not say which of the BSD licenses applies
+var LICENSE_ALIASES = {
+    'apache 2.0': 'Apache-2.0',
+    'apache2': 'Apache-2.0',
+    'apache-2': 'Apache-2.0',
+    'apache license 2.0': 'Apache-2.0',
+    'apache license, version 2.0': 'Apache-2.0',
+    'ecl2': 'ECL-2.0',
+    'eclv2': 'ECL-2.0',
+    'mit/x11': 'MIT',
+    'public domain': 'Unlicense'
+};
+
+// Matches the names of the files in which modules commonly ship their license, e.g.: LICENSE, LICENCE.md or COPYING
+var LICENSE_FILENAME_REGEX = /^(licen[cs]e|copying)(\.(md|txt|markdown|mit|bsd))?$/i;
+
+/**
+ * Collect the dependencies of a component. The dependencies are those of the npm-shrinkwrap.json file of the
+ * component (see `getLockfileModules`), or those installed in its node_modules directory if it has none. The optional
+ * and development modules of npm-shrinkwrap.json that are not installed are left out (see `mayBeMissing`). A module
+ * can be listed several times when it is installed at several places of the tree.
+ *
+ * @param  {String}     rootDir             The root directory of the component, or of its copied release files
+ * @param  {Number}     [errCode]           The process error code to return on failure. Default: 1
+ * @param  {Object}     [opts]              Optional arguments
+ * @param  {Object}     [opts.licenses]     The licenses of the dependencies whose package.json file has none or has the wrong one, keyed by module name or `<name>@<version>`
+ * @param  {String[]}   [opts.exclude]      The names of the modules that are part of the component rather than dependencies, such as its internal `oae-*` packages (see `ReleaseUtil.findInternalPackages`)
+ * @return {Object[]}                       The dependencies, sorted by name and version. Each dependency has fields `name`, `version`, `path` (relative to the root directory), `installed` (`false` for a module of npm-shrinkwrap.json that is not installed), `license`, `licenseText` (the content of its license file, or `null` if it has none) and `integrity` (its subresource integrity string, e.g. "sha512-...", or `null` if it is not known)
+ */
+var collectDependencies = module.exports.collectDependencies = function(rootDir, errCode, opts) {
+    errCode = errCode || 1;
+    opts = opts || {};
+
+    var shrinkwrapPath = path.join(rootDir, 'npm-shrinkwrap.json');
+    var modules = null;
+    if (shell.test('-f', shrinkwrapPath)) {
+        modules = getLockfileModules(CoreUtil.readJson(shrinkwrapPath, errCode));
+
+        // A lockfile format that is not understood would otherwise pass the audit without auditing anything
+        if (_.isEmpty(modules) && !_.isEmpty(_getInstalledModules(rootDir, 'node_modules'))) {
+            return CoreUtil.fail('The npm-shrinkwrap.json file of '.text + rootDir.error + ' lists no modules, but modules are installed in its node_modules directory'.text, errCode);
+        }
+    } else {
+        modules = _getInstalledModules(rootDir, 'node_modules');
+    }
+
+    return _.chain(modules)
+        .map(function(moduleInfo) {
+            var dependency = _.extend({
+                'installed': false,
+                'license': null,
+                'licenseText': null,
+                'integrity': null
+            }, moduleInfo);
+
+            var packageJsonPath = path.join(rootDir, moduleInfo.path, 'package.json');
+            if (shell.test('-f', packageJsonPath)) {
+                var packageJson = CoreUtil.readJson(packageJsonPath, errCode);
+                var id = util.format('%s@%s', packageJson.name, packageJson.version);
+                _.extend(dependency, {
+                    'name': packageJson.name,
+                    'version': packageJson.version,
+                    'installed': true,
+                    'license': (opts.licenses && (opts.licenses[id] || opts.licenses[packageJson.name])) || getLicense(packageJson),
+                    'licenseText': _readLicenseText(path.join(rootDir, moduleInfo.path)),
+                    'integrity': moduleInfo.integrity || _getInstalledIntegrity(packageJson)
+                });
+            }
+
+            return dependency;
+        })
+        .reject(function(dependency) {
+            // Optional and development modules that are not installed are not shipped either
+            return _.contains(opts.exclude, dependency.name) || (!dependency.installed && mayBeMissing(dependency));
+        })
+        .sortBy(function(dependency) {
+            return util.format('%s@%s', dependency.name, dependency.version);
+        })
+        .value();
+};
+
+/**
+ * Collect the dependencies of a component and verify that they can be shipped. The release is refused if a required
+ * module of npm-shrinkwrap.json is not installed, if the license of any dependency is not allowed, or if any dependency
+ * has a version with a known vulnerability according to the advisory database. Every problem is reported before
+ * failing.
+ *
+ * The advisory database is a JSON file that holds an array of advisories, each with the `name` of the module, the
+ * semver range of the vulnerable `versions`, and optionally an `id`, a `severity`, a `title` and a `url`:
+ *
+ * ```json
+ * [
+ *     {"id": "GHSA-p6mc-m468-83gw", "name": "lodash", "versions": "<4.17.19", "severity": "high", "title": "Prototype pollution"}
+ * ]
+ * ```
+ *
+ * @param  {String}     rootDir                     The root directory of the component, or of its copied release files
+ * @param  {Number}     [errCode]                   The process error code to return on failure. Default: 1
+ * @param  {Object}     [opts]                      Optional arguments
+ * @param  {String[]}   [opts.allowedLicenses]      The SPDX identifiers of the licenses that are allowed. Default: `ALLOWED_LICENSES`
+ * @param  {Object}     [opts.licenses]             The licenses of the dependencies whose package.json file has none or has the wrong one, keyed by module name or `<name>@<version>`
+ * @param  {String}     [opts.advisoriesPath]       The path to the advisory database. Default: the versions are not checked for vulnerabilities
+ * @param  {String[]}   [opts.ignoreAdvisories]     The ids of the advisories that do not apply to the component
+ * @param  {String[]}   [opts.exclude]              The names of the modules that are part of the component rather than dependencies. See `collectDependencies`
+ * @return {Object[]}                               The dependencies, as returned by `collectDependencies`
+ */
+var auditDependencies = module.exports.auditDependencies = function(rootDir, errCode, opts) {
+    errCode = errCode || 1;
+    opts = opts || {};
+    CoreUtil.beginStep('auditDependencies');
+
+    CoreUtil.logInfo('Auditing the licenses and versions of the dependencies in '.text + rootDir.white);
+
+    var problems = [];
+    var dependencies = collectDependencies(rootDir, errCode, _.pick(opts, 'licenses', 'exclude'));
+    _.each(dependencies, function(dependency) {
+        if (!dependency.installed) {
+            problems.push(util.format('The module %s is not installed', dependency.path));
+        }
+    });
+    dependencies = _.where(dependencies, {'installed': true});
+
+    var allowedLicenses = opts.allowedLicenses || ALLOWED_LICENSES;
+    _.each(dependencies, function(dependency) {
+        if (!dependency.license) {
+            problems.push(util.format('The module %s@%s (%s) does not specify its license', dependency.name, dependency.version, dependency.path));
+        } else if (!_isLicenseAllowed(dependency.license, allowedLicenses)) {
+            problems.push(util.format('The module %s@%s (%s) has the license "%s", which is not allowed', dependency.name, dependency.version, dependency.path, dependency.license));
+        }
+    });
+
+    if (opts.advisoriesPath) {
+        problems = problems.concat(_checkAdvisories(dependencies, opts.advisoriesPath, opts.ignoreAdvisories || [], errCode));
+    } else {
+        CoreUtil.logWarn('No advisory database was given, the dependencies are not checked for known vulnerabilities');
+    }
+
+    if (!_.isEmpty(problems)) {
+        _.each(problems, function(problem) {
+            CoreUtil.logWarn(problem);
+        });
+
+        return CoreUtil.fail(util.format('The audit of the dependencies found %s problem(s)', problems.length), errCode, {'output': problems.join('\n')});
+    }
+
+    CoreUtil.logSuccess(util.format('Audited %s dependencies', dependencies.length));
+    return dependencies;
+};
+
+/**
+ * Write the licenses of the dependencies of a component to the THIRD-PARTY-LICENSES file of a directory, usually the
+ * directory of the release files that are packaged.
+ *
+ * @param  {String}     dir             The directory in which to write the file
+ * @param  {Object[]}   dependencies    The dependencies, as returned by `auditDependencies`
+ * @param  {Number}     [errCode]       The process error code to return on failure. Default: 1
+ * @return {String}                     The path to the THIRD-PARTY-LICENSES file
+ */
+var writeThirdPartyLicenses = module.exports.writeThirdPartyLicenses = function(dir, dependencies, errCode) {
+    errCode = errCode || 1;
+    CoreUtil.beginStep('writeThirdPartyLicenses');
+
+    var separator = new Array(81).join('-');
+    var lines = [
+        'THIRD-PARTY LICENSES',
+        '',
+        'This release includes the following third-party modules, which are distributed under their own licenses.'
+    ];
+
+    // A module can be installed at several places of the tree, but it only needs to be listed once
+    var listed = {};
+    _.each(dependencies, function(dependency) {
+        var id = util.format('%s@%s', dependency.name, dependency.version);
+        if (listed[id]) {
+            return;
+        }
+
+        listed[id] = true;
+        lines.push('', separator, id, util.format('License: %s', dependency.license), '');
+        lines.push(dependency.licenseText ? dependency.licenseText.trim() : 'The module does not include the text of its license.');
+    });
+
+    var thirdPartyLicensesPath = path.join(dir, THIRD_PARTY_LICENSES_FILENAME);
+    try {
+        // End the file with a newline, like any text file
+        fs.writeFileSync(thirdPartyLicensesPath, lines.join('\n') + '\n');
+    } catch (ex) {
+        return CoreUtil.fail('Error writing the third-party licenses to '.text + thirdPartyLicensesPath.error, errCode, {'output': ex.message});
+    }
+
+    CoreUtil.logSuccess(util.format('Wrote the licenses of %s third-party module(s) to ', _.size(listed)).text + thirdPartyLicensesPath.white);
+    return thirdPartyLicensesPath;
+};
+
+/**
+ * Get the license of a module from its package.json file, which is either a `license` field with an SPDX expression,
+ * or a deprecated `license` object or `licenses` array with `type` fields.
+ *
+ * @param  {Object}     packageJson     The parsed package.json file of the module
+ * @return {String}                     The SPDX expression of the license. `null` if the module does not specify it
+ */
+var getLicense = module.exports.getLicense = function(packageJson) {
+    var licenses = packageJson.license || packageJson.licenses;
+    if (!licenses) {
+        return null;
+    } else if (_.isString(licenses)) {
+        return licenses;
+    }
+
+    // Modules with several licenses let their users choose any of them
+    var types = _.chain([licenses]).flatten().pluck('type').compact().value();
+    return _.isEmpty(types) ? null : types.join(' OR ');
+};
+
+/**
+ * Get the SPDX expression of a license, as declared in the package.json file of a module. License names that older
+ * modules use instead of an SPDX identifier (e.g., "Apache 2.0") are replaced by the identifier. The syntax of the
+ * expression is validated, but its license identifiers are not checked against the SPDX license list.
+ *
+ * @param  {String}     license     The license of the module (e.g., "MIT", "(MIT OR Apache-2.0)")
+ * @return {String}                 The SPDX expression of the license. `null` if it is not a valid SPDX expression
+ */
+var toSpdxExpression = module.exports.toSpdxExpression = function(license) {
+    if (!_.isString(license) || !license.trim()) {
+        return null;
+    } else if (LICENSE_ALIASES[license.trim().toLowerCase()]) {
+        return LICENSE_ALIASES[license.trim().toLowerCase()];
+    }
+
+    var tokens = license.replace(/([()])/g, ' $1 ').trim().split(/\s+/);
+    var position = 0;
+
+    // Parse the expression with a recursive descent parser, in which `OR` binds less tightly than `AND`, which binds
+    // less tightly than `WITH`. Every function returns whether the tokens from the current position on match its rule
+    var parseOr = function() {
+        if (!parseAnd()) {
+            return false;
+        }
+
+        while (tokens[position] === 'OR') {
+            position++;
+            if (!parseAnd()) {
+                return false;
+            }
+        }
+
+        return true;
+    };
+
+    var parseAnd = function() {
+        if (!parseSimple()) {
+            return false;
+        }
+
+        while (tokens[position] === 'AND') {
+            position++;
+            if (!parseSimple()) {
+                return false;
+            }
+        }
+
+        return true;
+    };
+
+    var parseSimple = function() {
+        if (tokens[position] === '(') {
+            position++;
+            if (!parseOr() || tokens[position] !== ')') {
+                return false;
+            }
+
+            position++;
+            return true;
+        } else if (!_isSpdxLicenseId(tokens[position])) {
+            return false;
+        }
+
+        position++;
+        if (tokens[position] === 'WITH') {
+            position++;
+            if (!_isSpdxId(tokens[position])) {
+                return false;
+            }
+
+            position++;
+        }
+
+        return true;
+    };
+
+    return (parseOr() && position === tokens.length) ? tokens.join(' ').replace(/\( /g, '(').replace(/ \)/g, ')') : null;
+};
+
+/**
+ * Get the modules of an npm-shrinkwrap.json or package-lock.json file. Lockfiles of version 2 and later (npm 7 and
+ * later) list the modules in a `packages` object keyed by their path (e.g., "node_modules/a/node_modules/b"), while
+ * older lockfiles nest them in `dependencies` objects.
+ *
+ * @param  {Object}     lockfile    The parsed lockfile
+ * @return {Object[]}               The modules, with fields `name`, `version`, `path` (relative to the root directory of the component), `integrity`, `optional` (whether npm may skip it, e.g. a module for another platform) and `dev` (whether it is only needed for development)
+ */
+var getLockfileModules = module.exports.getLockfileModules = function(lockfile) {
+    if (!lockfile.packages) {
+        return _getShrinkwrapModules(lockfile.dependencies, 'node_modules');
+    }
+
+    return _.chain(lockfile.packages)
+        .map(function(pkg, modulePath) {
+            // The root package has an empty path, and the workspaces are not installed in a node_modules directory
+            var index = modulePath.lastIndexOf('node_modules/');
+            if (index === -1) {
+                return null;
+            }
+
+            return {
+                'name': pkg.name || modulePath.slice(index + 'node_modules/'.length),
+                'version': pkg.version,
+                'path': modulePath,
+                'integrity': pkg.integrity || null,
+                'optional': !!(pkg.optional || pkg.devOptional),
+                'dev': !!pkg.dev
+            };
+        })
+        .compact()
+        .value();
+};
+
+/**
+ * Determine whether a module of a lockfile may be missing from node_modules. Optional modules are not installed on
+ * the platforms they do not support (e.g., `fsevents` on Linux), and development modules are not installed by
+ * `npm install --production`.
+ *
+ * @param  {Object}     moduleInfo      The module, as returned by `getLockfileModules`
+ * @return {Boolean}                    `true` if the module does not need to be installed, `false` otherwise
+ */
+var mayBeMissing = module.exports.mayBeMissing = function(moduleInfo) {
+    return !!(moduleInfo.optional || moduleInfo.dev);
+};
+
+/*!
+ * Determine whether a token of a license expression is an SPDX identifier, i.e. is made of letters, digits, dots and
+ * dashes and is not an operator
+ *
+ * @param  {String}     token       The token of the license expression
+ * @return {Boolean}                `true` if the token is an SPDX identifier, `false` otherwise
+ */
+var _isSpdxId = function(token) {
+    return /^[A-Za-z0-9.\-]+$/.test(token || '') && !_.contains(['AND', 'OR', 'WITH'], token.toUpperCase());
+};
+
+/*!
+ * Determine whether a token of a license expression is a license, i.e. an SPDX identifier that may be followed by a
+ * `+` (e.g., "GPL-2.0+") or a reference to a license of another document (e.g., "DocumentRef-a:LicenseRef-b")
+ *
+ * @param  {String}     token       The token of the license expression
+ * @return {Boolean}                `true` if the token is a license, `false` otherwise
+ */
+var _isSpdxLicenseId = function(token) {
+    var match = /^(?:(DocumentRef-[A-Za-z0-9.\-]+):)?([^+]+)\+?$/.exec(token || '');
+    return !!match && _isSpdxId(match[2]) && (!match[1] || /^LicenseRef-/.test(match[2]));
+};
+
+/*!
+ * Get the modules of the dependency tree of a lockfile of version 1
+ *
+ * @param  {Object}     dependencies    The dependencies of the lockfile, keyed by module name
+ * @param  {String}     modulesDir      The node_modules directory in which the dependencies are installed, relative to the root directory of the component
+ * @return {Object[]}                   The modules, with fields `name`, `version`, `path` (relative to the root directory of the component), `integrity`, `optional` and `dev`
+ */
+var _getShrinkwrapModules = function(dependencies, modulesDir) {
+    return _.chain(dependencies)
+        .map(function(dependency, name) {
+            var moduleInfo = {
+                'name': name,
+                'version': dependency.version,
+                'path': path.join(modulesDir, name),
+                'integrity': dependency.integrity || null,
+                'optional': !!dependency.optional,
+                'dev': !!dependency.dev
+            };
+            return [moduleInfo].concat(_getShrinkwrapModules(dependency.dependencies, path.join(moduleInfo.path, 'node_modules')));
+        })
+        .flatten()
+        .value();
+};
+
+/*!
+ * Get the modules installed in a node_modules directory, including their own dependencies and scoped modules (e.g.,
+ * "@scope/name")
+ *
+ * @param  {String}     rootDir         The root directory of the component
+ * @param  {String}     modulesDir      The node_modules directory, relative to the root directory of the component
+ * @return {Object[]}                   The modules, with fields `name` and `path` (relative to the root directory of the component)
+ */
+var _getInstalledModules = function(rootDir, modulesDir) {
+    var dir = path.join(rootDir, modulesDir);
+    if (!shell.test('-d', dir)) {
+        return [];
+    }
+
+    return _.chain(fs.readdirSync(dir))
+        .map(function(entry) {
+            if (entry.charAt(0) === '.') {
+                return [];
+            } else if (entry.charAt(0) === '@') {
+                return _.map(fs.readdirSync(path.join(dir, entry)), function(scopedEntry) {
+                    return util.format('%s/%s', entry, scopedEntry);
+                });
+            }
+
+            return [entry];
+        })
+        .flatten()
+        .map(function(name) {
+            var moduleInfo = {'name': name, 'path': path.join(modulesDir, name)};
+            return [moduleInfo].concat(_getInstalledModules(rootDir, path.join(moduleInfo.path, 'node_modules')));
+        })
+        .flatten()
+        .value();
+};
+
+/*!
+ * Get the integrity of an installed module from the fields npm adds to its package.json file when installing it
+ *
+ * @param  {Object}     packageJson     The parsed package.json file of the installed module
+ * @return {String}                     The subresource integrity string of the module. `null` if npm did not record it
+ */
+var _getInstalledIntegrity = function(packageJson) {
+    if (packageJson._integrity) {
+        return packageJson._integrity;
+    } else if (packageJson._shasum) {
+        // Older versions of npm only record the hex-encoded sha1 digest of the tarball
+        var digest = Buffer.from ? Buffer.from(packageJson._shasum, 'hex') : new Buffer(packageJson._shasum, 'hex');
+        return util.format('sha1-%s', digest.toString('base64'));
+    }
+
+    return null;
+};
+
+/*!
+ * Determine whether a license expression is allowed. An expression with `OR` is allowed if any of its alternatives is,
+ * while an expression with `AND` is allowed if all of its licenses are
+ *
+ * @param  {String}     expression          The SPDX expression of the license (e.g., "MIT", "(MIT OR GPL-3.0)")
+ * @param  {String[]}   allowedLicenses     The SPDX identifiers of the licenses that are allowed
+ * @return {Boolean}                        `true` if the license is allowed, `false` otherwise
+ */
+var _isLicenseAllowed = function(expression, allowedLicenses) {
+    var allowed = _.map(allowedLicenses, function(license) {
+        return license.toLowerCase();
+    });
+
+    return _.some(expression.replace(/[()]/g, '').split(/\s+OR\s+/i), function(alternative) {
+        return _.every(alternative.split(/\s+AND\s+/i), function(license) {
+            // License exceptions (e.g., "GPL-2.0 WITH Classpath-exception-2.0") don't make a license more permissive
+            license = license.replace(/\s+WITH\s+.*$/i, '').trim().toLowerCase();
+            license = LICENSE_ALIASES[license] ? LICENSE_ALIASES[license].toLowerCase() : license;
+            return _.contains(allowed, license);
+        });
+    });
+};
+
+/*!
+ * Read the license file of a module
+ *
+ * @param  {String}     moduleDir   The directory of the module
+ * @return {String}                 The content of the license file. `null` if the module has no license file
+ */
+var _readLicenseText = function(moduleDir) {
+    var filename = _.chain(fs.readdirSync(moduleDir))
+        .filter(function(entry) {
+            return LICENSE_FILENAME_REGEX.test(entry);
+        })
+        .sort()
+        .first()
+        .value();
+
+    return filename ? fs.readFileSync(path.join(moduleDir, filename), 'utf8') : null;
+};
+
+/*!
+ * Check the versions of the dependencies against an advisory database
+ *
+ * @param  {Object[]}   dependencies        The dependencies to check
+ * @param  {String}     advisoriesPath      The path to the advisory database
+ * @param  {String[]}   ignoreAdvisories    The ids of the advisories that do not apply
+ * @param  {Number}     errCode             The process error code to return on failure
+ * @return {String[]}                       The messages that describe the vulnerable dependencies
+ */
+var _checkAdvisories = function(dependencies, advisoriesPath, ignoreAdvisories, errCode) {
+    var advisories = CoreUtil.readJson(advisoriesPath, errCode);
+    if (!_.isArray(advisories)) {
+        return CoreUtil.fail('The advisory database '.text + advisoriesPath.error + ' should be an array of advisories'.text, errCode);
+    }
+
+    var problems = [];
+    _.each(advisories, function(advisory, i) {
+        if (!_.isString(advisory.name) || !semver.validRange(advisory.versions)) {
+            return CoreUtil.fail(util.format('The advisory at index %s of the advisory database ', i).text + advisoriesPath.error + ' must have a module "name" and a semver range of vulnerable "versions"'.text, errCode);
+        } else if (_.contains(ignoreAdvisories, advisory.id)) {
+            return;
+        }
+
+        _.each(dependencies, function(dependency) {
+            if (dependency.name === advisory.name && semver.satisfies(dependency.version, advisory.versions)) {
+                problems.push(util.format('The module %s@%s (%s) is vulnerable: %s (%s, severity: %s)%s', dependency.name, dependency.version, dependency.path, advisory.title || 'no title', advisory.id || 'no id', advisory.severity || 'unknown', advisory.url ? ' ' + advisory.url : ''));
+            }
+        });
+    });
+
+    return problems;
+};
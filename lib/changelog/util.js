@@ -0,0 +1,228 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var shell = require('shelljs');
+var util = require('util');
+
+var CoreUtil = require('../util');
+
+// The groups in which changes are listed, in the order they appear in the changelog. Each change type (either a
+// conventional commit prefix or a label) maps to one of these groups
+var GROUPS = module.exports.GROUPS = [
+    {'title': 'Breaking Changes', 'types': []},
+    {'title': 'Features', 'types': ['feat', 'feature', 'enhancement']},
+    {'title': 'Bug Fixes', 'types': ['fix', 'bug', 'bugfix']},
+    {'title': 'Performance', 'types': ['perf', 'performance']},
+    {'title': 'Security', 'types': ['security']},
+    {'title': 'Documentation', 'types': ['docs', 'doc', 'documentation']},
+    {'title': 'Maintenance', 'types': ['refactor', 'test', 'tests', 'build', 'ci', 'chore', 'style']},
+    {'title': 'Other Changes', 'types': []}
+];
+
+// The heading at the top of a changelog file, under which new sections are prepended
+var CHANGELOG_HEADING = '# Changelog';
+
+// Matches the subject of the commits created by `ReleaseUtil`, which are not interesting in a changelog
+var RELEASE_COMMIT_REGEX = /^\(Release [^)]+\) /;
+
+// Matches the subject of a GitHub merge commit, e.g.: Merge pull request #123 from user/branch
+var PULL_REQUEST_REGEX = /^Merge pull request #(\d+) from (\S+)/;
+
+// Matches a conventional commit subject, e.g.: fix(content)!: Don't crash on empty files
+var CONVENTIONAL_REGEX = /^(\w+)(?:\(([^)]+)\))?(!)?:\s*(.+)$/;
+
+// Matches a subject that starts with a label, e.g.: [bug] Don't crash on empty files
+var LABEL_REGEX = /^\[([^\]]+)\]\s*(.+)$/;
+
+/**
+ * Collect the changes that were made since the previous tag. Only the commits on the first-parent history of the
+ * current branch are considered, so a merged pull request is listed once using its title rather than once for each
+ * of its commits.
+ *
+ * @param  {String}     [fromTag]   The tag from which to collect changes. Default: the most recent tag on the current branch, or all history if there is no tag
+ * @param  {Number}     [errCode]   The process error code to return on failure. Default: 1
+ * @return {Object[]}               The changes, in the order they were committed. Each change has fields `hash`, `type`, `scope`, `subject`, `breaking` and `pullRequest` (the pull request number, if the change was merged from a pull request)
+ */
+var collectChanges = module.exports.collectChanges = function(fromTag, errCode) {
+    errCode = errCode || 1;
+    CoreUtil.beginStep('collectChanges');
+
+    if (!fromTag) {
+        fromTag = _getPreviousTag();
+    }
+
+    var range = fromTag ? util.format('%s..HEAD', fromTag) : 'HEAD';
+    CoreUtil.logInfo(util.format('Collecting changes in range %s', range));
+
+    // Use unit and record separators to delimit fields and commits, as commit bodies can contain any other character
+    var output = CoreUtil.exec(util.format('git log --first-parent --reverse --format=%%H%%x1f%%s%%x1f%%b%%x1e %s', range), 'Error collecting the commits since the previous tag', errCode);
+
+    var changes = _.chain(output.split('\x1e'))
+        .map(function(record) {
+            var fields = record.replace(/^\s+/, '').split('\x1f');
+            if (fields.length < 3) {
+                return null;
+            }
+
+            return _parseCommit(fields[0], fields[1], fields[2]);
+        })
+        .compact()
+        .value();
+
+    CoreUtil.logSuccess(util.format('Collected %s change(s) since %s', changes.length, fromTag || 'the first commit'));
+    return changes;
+};
+
+/**
+ * Render a changelog section for a release, grouping the changes by their type.
+ *
+ * @param  {String}     version     The version being released
+ * @param  {Object[]}   changes     The changes in the release, as returned by `collectChanges`
+ * @param  {Date}       [date]      The date of the release. Default: now
+ * @return {String}                 The markdown of the changelog section
+ */
+var renderSection = module.exports.renderSection = function(version, changes, date) {
+    date = date || new Date();
+
+    var lines = [util.format('## %s (%s)', version, date.toISOString().slice(0, 10)), ''];
+    if (_.isEmpty(changes)) {
+        lines.push('No changes.', '');
+        return lines.join('\n');
+    }
+
+    _.each(GROUPS, function(group) {
+        var groupChanges = _.filter(changes, function(change) {
+            return (_getGroup(change) === group);
+        });
+        if (_.isEmpty(groupChanges)) {
+            return;
+        }
+
+        lines.push(util.format('### %s', group.title), '');
+        _.each(groupChanges, function(change) {
+            var line = '* ';
+            if (change.scope) {
+                line += util.format('**%s:** ', change.scope);
+            }
+
+            line += change.subject;
+            if (change.pullRequest) {
+                line += util.format(' (#%s)', change.pullRequest);
+            } else {
+                line += util.format(' (%s)', change.hash.slice(0, 7));
+            }
+
+            lines.push(line);
+        });
+        lines.push('');
+    });
+
+    return lines.join('\n');
+};
+
+/**
+ * Prepend a changelog section to the content of a changelog file. The section is inserted below the top-level
+ * heading of the file, which is created if it does not exist yet.
+ *
+ * @param  {String}     content     The current content of the changelog file. An empty string if the file does not exist yet
+ * @param  {String}     section     The section to prepend, as rendered by `renderSection`
+ * @return {String}                 The new content of the changelog file
+ */
+var prependSection = module.exports.prependSection = function(content, section) {
+    content = content || '';
+    if (content.indexOf(CHANGELOG_HEADING + '\n') !== 0) {
+        content = util.format('%s\n\n%s', CHANGELOG_HEADING, content);
+    }
+
+    var body = content.slice(CHANGELOG_HEADING.length).replace(/^\s+/, '');
+    return util.format('%s\n\n%s\n%s', CHANGELOG_HEADING, section.replace(/\s+$/, ''), body ? '\n' + body : '');
+};
+
+/*!
+ * Parse a commit into a change
+ *
+ * @param  {String}     hash        The hash of the commit
+ * @param  {String}     subject     The subject of the commit
+ * @param  {String}     body        The body of the commit
+ * @return {Object}                 The change, or `null` if the commit should not appear in the changelog
+ */
+var _parseCommit = function(hash, subject, body) {
+    if (RELEASE_COMMIT_REGEX.test(subject)) {
+        return null;
+    }
+
+    var change = {
+        'hash': hash,
+        'type': null,
+        'scope': null,
+        'subject': subject,
+        'breaking': false,
+        'pullRequest': null
+    };
+
+    // The title of a GitHub pull request is the first line of the body of its merge commit
+    var pullRequestMatch = subject.match(PULL_REQUEST_REGEX);
+    if (pullRequestMatch) {
+        change.pullRequest = pullRequestMatch[1];
+        change.subject = body.trim().split('\n')[0] || pullRequestMatch[2];
+    }
+
+    var conventionalMatch = change.subject.match(CONVENTIONAL_REGEX);
+    var labelMatch = change.subject.match(LABEL_REGEX);
+    if (conventionalMatch) {
+        change.type = conventionalMatch[1].toLowerCase();
+        change.scope = conventionalMatch[2] || null;
+        change.breaking = !!conventionalMatch[3];
+        change.subject = conventionalMatch[4];
+    } else if (labelMatch) {
+        change.type = labelMatch[1].toLowerCase();
+        change.subject = labelMatch[2];
+    }
+
+    if (/^BREAKING[ -]CHANGE:/m.test(body)) {
+        change.breaking = true;
+    }
+
+    return change;
+};
+
+/*!
+ * Get the group of the changelog in which a change should be listed
+ *
+ * @param  {Object}     change      The change for which to get the group
+ * @return {Object}                 The group in which to list the change
+ */
+var _getGroup = function(change) {
+    if (change.breaking) {
+        return _.first(GROUPS);
+    }
+
+    return _.find(GROUPS, function(group) {
+        return _.contains(group.types, change.type);
+    }) || _.last(GROUPS);
+};
+
+/*!
+ * Get the most recent tag on the current branch
+ *
+ * @return {String}     The name of the most recent tag. `null` if the branch has no tags
+ */
+var _getPreviousTag = function() {
+    // Ask for the tag only, as tag names of prereleases contain the same dashes git describe uses as separators. This
+    // fails when there are no tags at all, which isn't an error for us
+    var describe = shell.exec('git describe --tags --abbrev=0', {'silent': true});
+    return (describe.code === 0) ? describe.output.trim() : null;
+};
@@ -0,0 +1,59 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var util = require('util');
+
+/**
+ * An error that occurred during one of the release, package or upload steps.
+ *
+ * @param  {String}     message             The message that describes the error
+ * @param  {Number}     [errCode]           The process error code associated to the failure. Default: 1
+ * @param  {Object}     [details]           Additional details about the failure
+ * @param  {String}     [details.step]      The name of the step that failed (e.g., "validateRelease")
+ * @param  {String}     [details.cmd]       The command that failed, if the failure was caused by a command
+ * @param  {String}     [details.output]    The output of the command that failed
+ */
+var ReleaseError = module.exports = function(message, errCode, details) {
+    details = details || {};
+
+    Error.call(this);
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, ReleaseError);
+    }
+
+    this.name = 'ReleaseError';
+    this.message = message;
+    this.errCode = errCode || 1;
+    this.step = details.step || null;
+    this.cmd = details.cmd || null;
+    this.output = _.isString(details.output) ? details.output : null;
+};
+util.inherits(ReleaseError, Error);
+
+/**
+ * Get a plain object representation of the error
+ *
+ * @return {Object}     An object with the fields `message`, `errCode`, `step`, `cmd` and `output`
+ */
+ReleaseError.prototype.toJSON = function() {
+    return {
+        'message': this.message,
+        'errCode': this.errCode,
+        'step': this.step,
+        'cmd': this.cmd,
+        'output': this.output
+    };
+};
@@ -0,0 +1,290 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var path = require('path');
+var shell = require('shelljs');
+var util = require('util');
+
+var CoreUtil = require('../util');
+var ReleaseError = require('../error');
+
+// The phases of a step in which hooks can run
+var PHASES = module.exports.PHASES = ['pre', 'post'];
+
+/**
+ * Ensure the hooks of a release configuration are valid. The hooks are configured per phase and step name, and each
+ * hook is either a shell command or a JS module, given by its path relative to the root of the component:
+ *
+ * ```json
+ * "hooks": {
+ *     "pre": {
+ *         "bumpPackageJsonVersion": "grunt i18n",
+ *         "copyReleaseFiles": ["grunt minify", {"module": "./scripts/release/check-assets.js"}]
+ *     },
+ *     "post": {
+ *         "upload": {"module": "./scripts/release/notify.js"}
+ *     }
+ * }
+ * ```
+ *
+ * @param  {Object}     hooks       The hooks to validate
+ * @param  {Number}     [errCode]   The process error code to return on failure. Default: 1
+ */
+var validateHooks = module.exports.validateHooks = function(hooks, errCode) {
+    errCode = errCode || 1;
+    CoreUtil.beginStep('validateHooks');
+
+    if (!_.isObject(hooks)) {
+        return CoreUtil.fail('The hooks of the release configuration must be an object', errCode);
+    }
+
+    _.each(hooks, function(stepHooks, phase) {
+        if (!_.contains(PHASES, phase)) {
+            return CoreUtil.fail(util.format('The hooks of the release configuration have the unknown phase "%s". Known phases are: %s', phase, PHASES.join(', ')), errCode);
+        } else if (!_.isObject(stepHooks) || _.isArray(stepHooks)) {
+            return CoreUtil.fail(util.format('The %s hooks of the release configuration must be an object keyed by step name', phase), errCode);
+        }
+
+        _.each(stepHooks, function(hook, stepName) {
+            _.each(_.flatten([hook]), function(hook) {
+                if (_.isString(hook) && hook) {
+                    return;
+                } else if (_.isObject(hook) && _.isString(hook.module) && hook.module) {
+                    if (!shell.test('-f', path.resolve(hook.module))) {
+                        return CoreUtil.fail(util.format('The module "%s" of the %s hook of step %s does not exist', hook.module, phase, stepName), errCode);
+                    }
+
+                    return;
+                }
+
+                return CoreUtil.fail(util.format('The %s hook of step %s must be a shell command or an object with the path of a JS "module". However, it was: %s', phase, stepName, JSON.stringify(hook)), errCode);
+            });
+        });
+    });
+};
+
+/**
+ * Add the hooks of a release configuration to the steps of a pipeline (see `PipelineUtil.run`). The hooks of a step
+ * are run as separate steps named `pre:<step>` and `post:<step>`, so a failing pre hook aborts the step and the
+ * pipeline, and a pipeline that failed in a post hook resumes with that hook rather than with the step.
+ *
+ * Shell commands are run in the root of the component. They get the step and the context of the pipeline as
+ * environment variables: `OAE_RELEASE_STEP`, `OAE_RELEASE_PHASE` and `OAE_RELEASE_CONTEXT` (the context as JSON), as
+ * well as `OAE_RELEASE_<FIELD>` for each field of the context that is a string, number, boolean or list of those (e.g.,
+ * `OAE_RELEASE_VERSION`, `OAE_RELEASE_SRC_DIR` or `OAE_RELEASE_UPLOAD_URLS`), where lists have one item per line.
+ *
+ * JS modules export a function that takes a copy of the context, with the additional fields `step` and `phase`. A
+ * function that takes a callback as second argument is asynchronous and should invoke it with an error, if any.
+ * Otherwise the function is synchronous and fails by throwing an error.
+ *
+ * @param  {Object[]}   steps       The steps of the pipeline
+ * @param  {Object}     [hooks]     The hooks of the release configuration. See `validateHooks`. Default: no hooks
+ * @param  {Number}     [errCode]   The process error code to return when a hook fails. Default: 1
+ * @return {Object[]}               The steps of the pipeline with their hooks
+ */
+var addHooks = module.exports.addHooks = function(steps, hooks, errCode) {
+    errCode = errCode || 1;
+    hooks = hooks || {};
+
+    var hookedSteps = [];
+    _.each(steps, function(step) {
+        var preHooks = _.flatten([(hooks.pre || {})[step.name] || []]);
+        var postHooks = _.flatten([(hooks.post || {})[step.name] || []]);
+        if (!_.isEmpty(preHooks)) {
+            hookedSteps.push(_createHookStep(preHooks, 'pre', step.name, errCode));
+        }
+
+        hookedSteps.push(step);
+        if (!_.isEmpty(postHooks)) {
+            hookedSteps.push(_createHookStep(postHooks, 'post', step.name, errCode));
+        }
+    });
+
+    return hookedSteps;
+};
+
+/*!
+ * Create the pipeline step that runs the hooks of a phase of a step
+ *
+ * @param  {Array}      hooks       The hooks to run, in order
+ * @param  {String}     phase       The phase of the step in which the hooks run
+ * @param  {String}     stepName    The name of the step
+ * @param  {Number}     errCode     The process error code to return when a hook fails
+ * @return {Object}                 The pipeline step
+ */
+var _createHookStep = function(hooks, phase, stepName, errCode) {
+    return {
+        'name': util.format('%s:%s', phase, stepName),
+        'run': function(context, callback) {
+            return _runHooks(hooks, phase, stepName, context, errCode, callback);
+        }
+    };
+};
+
+/*!
+ * Run hooks one after the other
+ *
+ * @param  {Array}          hooks           The hooks to run
+ * @param  {String}         phase           The phase of the step in which the hooks run
+ * @param  {String}         stepName        The name of the step
+ * @param  {Object}         context         The context of the pipeline
+ * @param  {Number}         errCode         The process error code to return when a hook fails
+ * @param  {Function}       callback        Invoked when all hooks have run
+ * @param  {ReleaseError}   callback.err    The error of the hook that failed, if any
+ */
+var _runHooks = function(hooks, phase, stepName, context, errCode, callback) {
+    if (_.isEmpty(hooks)) {
+        return callback();
+    }
+
+    var hook = _.first(hooks);
+    var run = _.isString(hook) ? _runCommandHook : _runModuleHook;
+    run(hook, phase, stepName, context, errCode, function(err) {
+        if (err) {
+            // The output of shell commands has already been shown
+            if (!_.isString(hook)) {
+                CoreUtil.logFail(err.output);
+            }
+
+            return callback(err);
+        }
+
+        return _runHooks(_.rest(hooks), phase, stepName, context, errCode, callback);
+    });
+};
+
+/*!
+ * Run a hook that is a shell command, with the context in its environment
+ *
+ * @param  {String}         cmd             The shell command
+ * @param  {String}         phase           The phase of the step in which the hook runs
+ * @param  {String}         stepName        The name of the step
+ * @param  {Object}         context         The context of the pipeline
+ * @param  {Number}         errCode         The process error code to return when the hook fails
+ * @param  {Function}       callback        Invoked when the hook has run
+ * @param  {ReleaseError}   callback.err    An error that occurred, if any
+ */
+var _runCommandHook = function(cmd, phase, stepName, context, errCode, callback) {
+    CoreUtil.logInfo(util.format('Running the %s hook of step %s: %s', phase, stepName, cmd.white));
+
+    var env = {
+        'OAE_RELEASE_STEP': stepName,
+        'OAE_RELEASE_PHASE': phase,
+        'OAE_RELEASE_CONTEXT': JSON.stringify(context)
+    };
+    _.each(context, function(value, key) {
+        var name = 'OAE_RELEASE_' + key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+        if (_isScalar(value)) {
+            env[name] = String(value);
+        } else if (_.isArray(value) && _.every(value, _isScalar)) {
+            env[name] = value.join('\n');
+        }
+    });
+
+    // The environment is copied when the command is spawned, so it can be restored right away
+    var previousEnv = _.pick(process.env, _.keys(env));
+    _.extend(process.env, env);
+    try {
+        shell.exec(cmd, {'silent': false}, function(code, output) {
+            if (code !== 0) {
+                return callback(_hookError(util.format('The %s hook of step %s failed: %s', phase, stepName, cmd), errCode, {
+                    'step': util.format('%s:%s', phase, stepName),
+                    'cmd': cmd,
+                    'output': output
+                }));
+            }
+
+            return callback();
+        });
+    } finally {
+        _.each(env, function(value, name) {
+            if (_.has(previousEnv, name)) {
+                process.env[name] = previousEnv[name];
+            } else {
+                delete process.env[name];
+            }
+        });
+    }
+};
+
+/*!
+ * Run a hook that is a JS module
+ *
+ * @param  {Object}         hook            The hook
+ * @param  {String}         hook.module     The path of the module, relative to the root of the component
+ * @param  {String}         phase           The phase of the step in which the hook runs
+ * @param  {String}         stepName        The name of the step
+ * @param  {Object}         context         The context of the pipeline
+ * @param  {Number}         errCode         The process error code to return when the hook fails
+ * @param  {Function}       callback        Invoked when the hook has run
+ * @param  {ReleaseError}   callback.err    An error that occurred, if any
+ */
+var _runModuleHook = function(hook, phase, stepName, context, errCode, callback) {
+    CoreUtil.logInfo(util.format('Running the %s hook of step %s: %s', phase, stepName, hook.module.white));
+
+    // Defer the callback so that errors thrown after the hook completed aren't caught as errors of the hook
+    var done = _.once(function(err) {
+        process.nextTick(function() {
+            if (!err) {
+                return callback();
+            }
+
+            return callback(_hookError(util.format('The %s hook of step %s failed: %s', phase, stepName, hook.module), errCode, {
+                'step': util.format('%s:%s', phase, stepName),
+                'output': err.stack || String(err)
+            }));
+        });
+    });
+
+    var hookContext = _.extend({}, context, {'step': stepName, 'phase': phase});
+    try {
+        var fn = require(path.resolve(hook.module));
+        if (!_.isFunction(fn)) {
+            return done(new Error('The module does not export a function'));
+        } else if (fn.length >= 2) {
+            return fn(hookContext, done);
+        }
+
+        fn(hookContext);
+    } catch (err) {
+        return done(err);
+    }
+
+    return done();
+};
+
+/*!
+ * Log the failure of a hook like `CoreUtil.fail` does, and create the error to pass to the callback
+ *
+ * @param  {String}         msg         The message that describes the failure
+ * @param  {Number}         errCode     The process error code to return
+ * @param  {Object}         details     The details of the failure. See `ReleaseError`
+ * @return {ReleaseError}               The error
+ */
+var _hookError = function(msg, errCode, details) {
+    CoreUtil.log('error', msg, _.pick(details, 'cmd', 'output'));
+    return new ReleaseError(msg, errCode, details);
+};
+
+/*!
+ * Determine whether or not a value of the context can be given to a shell command as an environment variable
+ *
+ * @param  {Object}     value   The value of the context
+ * @return {Boolean}            `true` if the value is a string, number or boolean
+ */
+var _isScalar = function(value) {
+    return (_.isString(value) || _.isNumber(value) || _.isBoolean(value));
+};
@@ -0,0 +1,242 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var fs = require('fs');
+var shell = require('shelljs');
+var util = require('util');
+
+var CoreUtil = require('../util');
+var ReleaseError = require('../error');
+
+/**
+ * Run a pipeline of named steps in order. Each step is an object with the following fields:
+ *
+ *  * `name`: The name of the step, unique within the pipeline (e.g., "validateRelease")
+ *  * `run(context, [callback])`: Performs the step. A step that takes a callback is asynchronous and should invoke it with an error, if any. Otherwise the step is synchronous and fails by throwing an error
+ *  * `undoable`: Whether the changes of the step are undone by `opts.rollback` (e.g., `ReleaseUtil.rollback`) when a later step fails. Default: `false`
+ *  * `checkpoint`: Whether the changes of the steps before this one can no longer be undone once it completes (e.g., because the release was pushed). Default: `false`
+ *
+ * The steps share a context object in which they can store what later steps need, such as the version being released.
+ *
+ * When a state file is given, the progress of the pipeline is saved to it after every step. If a step fails, the
+ * pipeline can then be run again with `opts.resume` to continue from the failed step, with the context as it was. The
+ * completed steps are not run again, except for the `undoable` steps that `opts.rollback` rolled back because no
+ * `checkpoint` step completed after them. The state file is deleted once the pipeline completes. Nothing is saved in
+ * dry-run mode.
+ *
+ * @param  {String}     name                The name of the pipeline (e.g., "release")
+ * @param  {Object[]}   steps               The steps of the pipeline, in the order in which they are run
+ * @param  {Object}     [opts]              Optional arguments
+ * @param  {String}     [opts.statePath]    The path of the file in which to save the progress of the pipeline. Default: the progress is not saved
+ * @param  {Boolean}    [opts.resume]       Whether to resume the pipeline from the step that failed, as saved in the state file. Default: `false`
+ * @param  {Object}     [opts.context]      The initial context of the steps. Ignored when resuming, as the saved context is used instead. Default: an empty object
+ * @param  {Function}   [opts.rollback]     Invoked when a step fails, to undo the changes of the `undoable` steps. Default: nothing is undone
+ * @param  {Function}       callback            Invoked when the pipeline completes or a step fails
+ * @param  {Error}          callback.err        The error of the step that failed, if any
+ * @param  {Object}         callback.context    The context of the steps
+ */
+var run = module.exports.run = function(name, steps, opts, callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
+    }
+
+    CoreUtil.beginStep('pipeline');
+
+    var stepNames = _.pluck(steps, 'name');
+    var state = null;
+    try {
+        if (_.uniq(stepNames).length !== stepNames.length) {
+            throw _error(util.format('The steps of the %s pipeline must have unique names: %s', name, stepNames.join(', ')));
+        }
+
+        state = _loadState(name, stepNames, opts);
+    } catch (err) {
+        CoreUtil.logFail(err.message);
+        return callback(err);
+    }
+
+    if (!_.isEmpty(state.completed)) {
+        CoreUtil.logInfo(util.format('Resuming the %s pipeline, skipping the completed step(s): %s', name, state.completed.join(', ')));
+    }
+
+    var saveState = function() {
+        if (opts.statePath && !CoreUtil.isDryRun()) {
+            state.updated = new Date().toISOString();
+            fs.writeFileSync(opts.statePath, JSON.stringify(state, null, 4) + '\n');
+        }
+    };
+
+    _runSteps(steps, state, saveState, function(err, failedStep) {
+        if (err) {
+            state.failed = {
+                'step': failedStep,
+                'message': err.message,
+                'errCode': err.errCode || 1
+            };
+
+            // Only run the undoable steps again on resume if they were actually rolled back
+            if (opts.rollback) {
+                opts.rollback();
+                state.completed = _getCompletedAfterRollback(steps, state.completed);
+            }
+
+            saveState();
+
+            if (opts.statePath && !CoreUtil.isDryRun()) {
+                CoreUtil.logFail(util.format('The %s pipeline failed at step "%s". Its progress was saved to %s, so it can be resumed from that step', name, state.failed.step, opts.statePath));
+            }
+
+            return callback(err, state.context);
+        }
+
+        if (opts.statePath) {
+            shell.rm('-f', opts.statePath);
+        }
+
+        CoreUtil.logSuccess(util.format('Completed the %s step(s) of the %s pipeline', steps.length, name));
+        return callback(null, state.context);
+    });
+};
+
+/*!
+ * Load the state of a pipeline that should be resumed, or create the state of a new run
+ *
+ * @param  {String}     name            The name of the pipeline
+ * @param  {String[]}   stepNames       The names of the steps of the pipeline, in order
+ * @param  {Object}     opts            The options given to `run`
+ * @return {Object}                     The state of the pipeline, with fields `name`, `steps`, `completed`, `failed` and `context`
+ * @throws {ReleaseError}               Thrown if the state cannot be loaded, or does not belong to the pipeline
+ */
+var _loadState = function(name, stepNames, opts) {
+    var stateExists = (opts.statePath && shell.test('-f', opts.statePath));
+    if (!opts.resume) {
+        if (stateExists) {
+            throw _error(util.format('A previous run of the %s pipeline did not complete. Resume it, or delete %s to start over', name, opts.statePath));
+        }
+
+        return {
+            'name': name,
+            'steps': stepNames,
+            'completed': [],
+            'failed': null,
+            'context': opts.context || {}
+        };
+    } else if (!stateExists) {
+        throw _error(util.format('There is no saved progress of the %s pipeline to resume%s', name, opts.statePath ? ' in ' + opts.statePath : ''));
+    }
+
+    var state = null;
+    try {
+        state = JSON.parse(fs.readFileSync(opts.statePath, 'utf8'));
+    } catch (ex) {
+        throw _error(util.format('The saved progress of the %s pipeline in %s is not valid JSON', name, opts.statePath), ex.message);
+    }
+
+    // Resuming a different list of steps could skip steps that were never run
+    if (state.name !== name || !_.isEqual(state.steps, stepNames)) {
+        throw _error(util.format('The saved progress in %s does not match the steps of the %s pipeline. Resume it with the options it was started with, or delete the file to start over', opts.statePath, name), util.format('Saved steps: %s\nPipeline steps: %s', (state.steps || []).join(', '), stepNames.join(', ')));
+    }
+
+    state.completed = state.completed || [];
+    state.context = state.context || {};
+    state.failed = null;
+    return state;
+};
+
+/*!
+ * Run the steps that have not been completed yet, one after the other
+ *
+ * @param  {Object[]}   steps                   The steps of the pipeline
+ * @param  {Object}     state                   The state of the pipeline
+ * @param  {Function}   saveState               Invoked to save the state after a step completes
+ * @param  {Function}   callback                Invoked when all steps have completed or a step failed
+ * @param  {Error}      callback.err            The error of the step that failed, if any
+ * @param  {String}     callback.failedStep     The name of the step that failed, if any
+ */
+var _runSteps = function(steps, state, saveState, callback) {
+    var step = _.find(steps, function(step) {
+        return !_.contains(state.completed, step.name);
+    });
+    if (!step) {
+        return callback();
+    }
+
+    CoreUtil.beginStep(step.name);
+    var start = Date.now();
+
+    var done = _.once(function(err) {
+        var duration = Date.now() - start;
+        if (err) {
+            CoreUtil.logDebug(util.format('Step %s failed after %sms', step.name, duration), {'duration': duration});
+            return callback(err, step.name);
+        }
+
+        CoreUtil.logDebug(util.format('Completed step %s in %sms', step.name, duration), {'duration': duration});
+
+        state.completed.push(step.name);
+        saveState();
+
+        // Break the stack so long pipelines of synchronous steps don't grow it
+        return process.nextTick(function() {
+            return _runSteps(steps, state, saveState, callback);
+        });
+    });
+
+    try {
+        if (step.run.length >= 2) {
+            step.run(state.context, done);
+        } else {
+            step.run(state.context);
+            done();
+        }
+    } catch (err) {
+        return done(err);
+    }
+};
+
+/*!
+ * Get the steps that remain completed after a failure, which are all completed steps but the `undoable` ones that were
+ * rolled back because no `checkpoint` step completed after them
+ *
+ * @param  {Object[]}   steps           The steps of the pipeline
+ * @param  {String[]}   completed       The names of the steps that were completed when the failure occurred
+ * @return {String[]}                   The names of the steps that remain completed
+ */
+var _getCompletedAfterRollback = function(steps, completed) {
+    var lastCheckpoint = -1;
+    _.each(steps, function(step, i) {
+        if (step.checkpoint && _.contains(completed, step.name)) {
+            lastCheckpoint = i;
+        }
+    });
+
+    return _.filter(completed, function(stepName) {
+        var i = _.indexOf(_.pluck(steps, 'name'), stepName);
+        return (i <= lastCheckpoint || !steps[i].undoable);
+    });
+};
+
+/*!
+ * Create an error for a failure of the pipeline itself
+ *
+ * @param  {String}         message     The message that describes the error
+ * @param  {String}         [output]    The system error that describes the failure
+ * @return {ReleaseError}               The error
+ */
+var _error = function(message, output) {
+    return new ReleaseError(message, 1, {'step': 'pipeline', 'output': output});
+};
@@ -13,104 +13,388 @@
  * permissions and limitations under the License.
  */
 
+var _ = require('underscore');
+var fs = require('fs');
+var path = require('path');
 var semver = require('semver');
 var shell = require('shelljs');
 var util = require('util');
 
+var AuditUtil = require('../audit/util');
+var ChangelogUtil = require('../changelog/util');
 var CoreUtil = require('../util');
+var PackageUtil = require('../package/util');
+
+// The keywords that can be used instead of an explicit target version to bump the version automatically
+var BUMP_KEYWORDS = module.exports.BUMP_KEYWORDS = ['major', 'minor', 'patch', 'prerelease'];
+
+// The release steps that have been completed and that need to be undone if a later step fails
+var _completedSteps = [];
+
+// The files other than package.json that have been changed for the release and need to be part of the bump commit
+var _releaseFiles = [];
+
+// The tags of internal packages that need to be created along with the release tag
+var _releaseTags = [];
+
+// The fields of package.json that can reference internal packages
+var DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+// The glob patterns of the branches from which releases can be made, unless specified otherwise
+var RELEASE_BRANCHES = module.exports.RELEASE_BRANCHES = ['master', 'release/*'];
+
+// Matches the dependency versions that are not taken from the npm registry, e.g.: git+ssh://github.com/oaeproject/x.git,
+// oaeproject/x#master, file:../x or ./x
+var UNPUBLISHED_DEPENDENCY_REGEX = /^(git|git\+[a-z]+|github|gist|bitbucket|gitlab|file):|\.git(#.*)?$|^[\w.\-]+\/[\w.\-]+(#.*)?$|^(\.{1,2}|~)?\//;
 
 /**
- * Verify that the release process can begin with the current state of the repository.
+ * Verify that the release process can begin with the current state of the repository. All of the following preflight
+ * checks are performed, and every failure is reported at once:
  *
- * @param  {Number}     [errCode]   The process error code to return on failure. Default: 1
+ *  * `packageJson`: The package.json file can be read
+ *  * `manifest`: The release manifest of the release configuration is valid
+ *  * `workingTree`: There are no unstaged or uncommitted changes
+ *  * `branch`: The current branch is one of the release branches
+ *  * `remote`: The current branch is synchronized with the remote
+ *  * `untrackedFiles`: No untracked file would end up in the release package
+ *  * `shrinkwrap`: The npm-shrinkwrap.json file, if any, matches the installed node_modules, except for the optional and development modules that are not installed
+ *  * `engines`: The version of node satisfies the `engines` field of package.json
+ *  * `dependencies`: No dependency is a git url or a local path, as those do not pin what is released
+ *
+ * @param  {String}     remoteName              The name of the remote repository to which the release is pushed
+ * @param  {Number}     [errCode]               The process error code to return on failure. Default: 1
+ * @param  {Object}     [opts]                  Optional arguments
+ * @param  {String[]}   [opts.branches]         The glob patterns of the branches from which releases can be made. Default: `RELEASE_BRANCHES`
+ * @param  {Object}     [opts.packageJson]      The parsed package.json. Default: the package.json of the current working directory
+ * @param  {Object}     [opts.manifest]         The release manifest, as returned by `PackageUtil.loadReleaseManifest`. Default: the manifest of the current working directory
+ * @return {Object[]}                           The report of the checks. Each entry has a field `name`, a field `passed` and a field `problems` with the messages that describe why the check failed
  */
-var validateRelease = module.exports.validateRelease = function(remoteName, errCode) {
+var validateRelease = module.exports.validateRelease = function(remoteName, errCode, opts) {
     errCode = errCode || 1;
+    opts = opts || {};
+    CoreUtil.beginStep('validateRelease');
 
     CoreUtil.logInfo('Validating repository for release');
 
+    var context = {
+        'remoteName': remoteName,
+        'branches': opts.branches || RELEASE_BRANCHES,
+        'packageJson': opts.packageJson || null,
+        'manifest': opts.manifest || null,
+        'branchName': _getCurrentBranchName(errCode),
+        'errCode': errCode
+    };
+
     // This refreshes the index state, somehow, for the following validations
     CoreUtil.exec('git status', 'Error refreshing git cache with a git status', errCode);
 
-    // Ensure there are no unstaged changes in the repository
-    CoreUtil.exec('git diff-files --quiet', 'It appears you may have unstaged changes in your repository', errCode);
-    CoreUtil.exec('git diff-index --quiet --cached HEAD', 'It appears you may have uncommitted changes in your repository', errCode);
-
-    var branchName = _getCurrentBranchName(errCode);
-    if (!branchName) {
-        CoreUtil.logFail('You must be on a branch so the release can be pushed to the remote git repository');
-        return process.exit(errCode);
-    }
+    var report = _.map(_preflightChecks, function(check, name) {
+        var problems = check(context);
+        if (_.isEmpty(problems)) {
+            CoreUtil.logSuccess(util.format('Preflight check %s passed', name));
+        } else {
+            _.each(problems, function(problem) {
+                CoreUtil.logWarn(util.format('Preflight check %s failed: %s', name, problem));
+            });
+        }
 
-    // Fetch from remote so we can determine sync status
-    CoreUtil.exec(util.format('git fetch %s', remoteName), util.format('Failed to fetch the remote repository "%s"', remoteName), errCode);
+        return {'name': name, 'passed': _.isEmpty(problems), 'problems': problems};
+    });
 
-    // Ensure that our working copy of the branch is same as the remote
-    CoreUtil.exec(util.format('git diff --quiet %s/%s', remoteName, branchName), util.format('It appears the local copy of branch "%s" is not synchronized with remote "%s". You may need to push or pull in order to ensure we can safely push release information', branchName, remoteName), errCode);
+    var failed = _.reject(report, function(entry) {
+        return entry.passed;
+    });
+    if (!_.isEmpty(failed)) {
+        var output = _.chain(failed)
+            .map(function(entry) {
+                return _.map(entry.problems, function(problem) {
+                    return util.format('%s: %s', entry.name, problem);
+                });
+            })
+            .flatten()
+            .value()
+            .join('\n');
+        return CoreUtil.fail(util.format('%s of the %s preflight checks failed: %s', failed.length, report.length, _.pluck(failed, 'name').join(', ')), errCode, {'output': output});
+    }
 
     CoreUtil.logSuccess('Repository state is clean for a release');
+    return report;
 };
 
 /**
  * Verify that the specified target version is a valid semver version and is greater than the current version.
  *
+ * Instead of an explicit version, one of the bump keywords `major`, `minor`, `patch` or `prerelease` can be given. The
+ * target version is then computed by bumping the greater of the package.json version and the latest tag of the same
+ * `<major>.<minor>` release line in the remote repository. A computed version is refused if any tag in the remote
+ * repository is greater than it, as that would release a version that goes backwards. Maintenance releases of an
+ * older release line need to specify their version explicitly.
+ *
  * @param  {Object}     packageJson     The parsed package.json
- * @param  {String}     toVersion       The target version to validate
- * @param  {Number}     errCode         The process error code to return on failure
+ * @param  {String}     toVersion       The target version to validate, or a bump keyword
+ * @param  {String}     remoteName      The name of the remote repository in which to look for existing tags
+ * @param  {Number}     [errCode]       The process error code to return on failure. Default: 1
+ * @param  {Object}     [opts]          Optional arguments
+ * @param  {String}     [opts.preid]    The prerelease identifier to use with the `prerelease` keyword (e.g., "rc")
+ * @return {String}                     The validated target version
  */
-var validateTargetVersion = module.exports.validateTargetVersion = function(packageJson, toVersion, remoteName, errCode) {
+var validateTargetVersion = module.exports.validateTargetVersion = function(packageJson, toVersion, remoteName, errCode, opts) {
+    errCode = errCode || 1;
+    opts = opts || {};
+    CoreUtil.beginStep('validateTargetVersion');
     CoreUtil.logInfo('Validating code to release target version');
 
+    if (_.contains(BUMP_KEYWORDS, toVersion)) {
+        toVersion = _computeTargetVersion(packageJson.version, toVersion, opts.preid, remoteName, errCode);
+    }
+
     // Ensure the target version is a valid semver version
     if (!semver.valid(toVersion)) {
-        CoreUtil.logFail('The target version of '.text + toVersion.error + ' is not a valid semver version'.text);
-        return process.exit(errCode);
+        return CoreUtil.fail('The target version of '.text + toVersion.error + ' is not a valid semver version'.text, errCode);
     }
 
     // Ensure that the new version number is greater than the old
     if (!semver.gt(toVersion, packageJson.version)) {
-        CoreUtil.logFail('The target version of '.text + toVersion.error + ' should be greater than the current version '.text + packageJson.version.error);
-        return process.exit(errCode);
+        return CoreUtil.fail('The target version of '.text + toVersion.error + ' should be greater than the current version '.text + packageJson.version.error, errCode);
     }
 
     // Ensure that the remote repository does not already have a tag for this version
     if (_hasTag(remoteName, toVersion)) {
-        CoreUtil.logFail('The tag '.text + toVersion.error + ' already exists in the remote repository '.text + remoteName.error);
-        return process.exit(errCode);
+        return CoreUtil.fail('The tag '.text + toVersion.error + ' already exists in the remote repository '.text + remoteName.error, errCode);
     }
 
     CoreUtil.logSuccess(util.format('Validated the target release version %s', toVersion));
+    return toVersion;
 };
 
 
 /**
- * Update the package.json file to have the new target version.
+ * Update the package.json file to have the new target version. The file is updated as JSON rather than as text, while
+ * keeping its indentation, line endings, key order and final newline. The npm-shrinkwrap.json and package-lock.json
+ * files next to package.json are updated as well if they exist, along with any extra file that holds the version.
  *
- * @param  {String}     packageJsonPath     The path to the package.json to update
- * @param  {String}     fromVersion         The expected previous version in the package.json file
- * @param  {String}     toVersion           The target version to update the package.json to
- * @param  {Number}     errCode             The process error code to return on failure
+ * An extra file is either the path to a JSON file whose top-level "version" field holds the version (e.g.,
+ * "bower.json"), or an object with fields `path` and `pattern` where the pattern is the text that holds the version,
+ * with `%s` in place of the version (e.g., `{'path': 'lib/version.js', 'pattern': 'var VERSION = \'%s\';'}`).
+ *
+ * @param  {String}     packageJsonPath         The path to the package.json to update
+ * @param  {String}     fromVersion             The expected previous version in the package.json file
+ * @param  {String}     toVersion               The target version to update the package.json to
+ * @param  {Number}     [errCode]               The process error code to return on failure. Default: 1
+ * @param  {Object}     [opts]                  Optional arguments
+ * @param  {Array}      [opts.extraFiles]       The extra files that hold the version and need to be updated
  */
-var bumpPackageJsonVersion = module.exports.bumpPackageJsonVersion = function(packageJsonPath, fromVersion, toVersion, errCode) {
-    var replaceSource = util.format('\n  "version": "%s",\n', fromVersion);
-    var replaceWith = util.format('\n  "version": "%s",\n', toVersion);
+var bumpPackageJsonVersion = module.exports.bumpPackageJsonVersion = function(packageJsonPath, fromVersion, toVersion, errCode, opts) {
+    errCode = errCode || 1;
+    opts = opts || {};
+    CoreUtil.beginStep('bumpPackageJsonVersion');
+
+    // Ensure package.json holds the version we expect before changing anything
+    var packageJsonUpdate = _updateJsonVersion(packageJsonPath, toVersion, errCode);
+    if (packageJsonUpdate.fromVersion !== fromVersion) {
+        return CoreUtil.fail(util.format('The version in %s is %s but was expected to be %s', packageJsonPath, packageJsonUpdate.fromVersion, fromVersion), errCode);
+    }
+
+    var updates = [packageJsonUpdate];
+
+    // The lock files hold the version of the root package as well
+    var packageDir = path.dirname(packageJsonPath);
+    _.each(['npm-shrinkwrap.json', 'package-lock.json'], function(lockFilename) {
+        var lockFilePath = path.join(packageDir, lockFilename);
+        if (shell.test('-f', lockFilePath)) {
+            var update = _updateJsonVersion(lockFilePath, toVersion, errCode);
+            update.stage = _isTracked(lockFilePath);
+            updates.push(update);
+        }
+    });
 
-    // Perform a bogus replace so we can get the content back from sed's output
-    var contentBefore = shell.sed('-i', '}"', '}"', packageJsonPath);
-    var contentAfter = shell.sed('-i', replaceSource, replaceWith, packageJsonPath);
+    _.each(opts.extraFiles, function(extraFile) {
+        var update = null;
+        if (_.isString(extraFile)) {
+            update = _updateJsonVersion(extraFile, toVersion, errCode);
+        } else {
+            update = _updatePatternVersion(extraFile.path, extraFile.pattern, fromVersion, toVersion, errCode);
+        }
 
-    if (contentBefore === contentAfter) {
-        // We didn't replace anything
-        CoreUtil.logFail('Replacing regexp '.text + replaceSource.trim().error + ' with '.text + replaceWith.trim().error + ' in package.json resulted in no changes'.text);
-        return process.exit(errCode);
+        update.stage = true;
+        updates.push(update);
+    });
+
+    _.each(updates, function(update) {
+        _writeUpdate(update, util.format('the version in %s from %s to %s', update.path, update.fromVersion, toVersion));
+    });
+
+    if (!CoreUtil.isDryRun()) {
+        CoreUtil.logSuccess('Successfully bumped version to '.text + toVersion.white + ' in '.text + _.pluck(updates, 'path').join(', ').white);
     }
+};
+
+/**
+ * Find the internal packages of a repository. These are the `node_modules/oae-*` modules that are tracked in the
+ * repository rather than installed from npm, such as those of Hilary.
+ *
+ * @param  {String}     [rootDir]   The root directory of the repository. Default: the current working directory
+ * @return {Object[]}               The internal packages. Each package has fields `name`, `version` and `packageJsonPath`
+ */
+var findInternalPackages = module.exports.findInternalPackages = function(rootDir) {
+    rootDir = rootDir || '.';
+
+    return _.chain(shell.ls(path.join(rootDir, 'node_modules', 'oae-*')))
+        .map(function(modulePath) {
+            // `ls` does not include the directory of the wildcard in its results
+            var packageJsonPath = path.join(rootDir, 'node_modules', path.basename(modulePath), 'package.json');
+            if (!shell.test('-f', packageJsonPath) || !_isTracked(packageJsonPath)) {
+                return null;
+            }
+
+            var packageJson = CoreUtil.readJson(packageJsonPath);
+            return {
+                'name': packageJson.name,
+                'version': packageJson.version,
+                'packageJsonPath': packageJsonPath
+            };
+        })
+        .compact()
+        .sortBy('name')
+        .value();
+};
+
+/**
+ * Bump the version of the internal packages of a repository, either all in lockstep or each one separately. The
+ * references between the internal packages, and from the root package.json, are updated to the new versions. Each
+ * bumped package is tagged as `<name>@<version>` by `gitCommitVersionAndTag`, on the same commit as the release.
+ *
+ * A dependency is only updated if it references the exact previous version, or the previous version prefixed with
+ * `^` or `~`. Other ranges are left alone.
+ *
+ * @param  {String}         rootDir         The root directory of the repository
+ * @param  {String|Object}  versions        A version or bump keyword to apply to all internal packages, or an object keyed by package name whose values are the version or bump keyword to apply to that package. Packages that are not in the object are not bumped
+ * @param  {String}         remoteName      The name of the remote repository in which to look for existing tags
+ * @param  {Number}         [errCode]       The process error code to return on failure. Default: 1
+ * @return {Object}                         An object keyed by the name of each bumped package, whose value is its new version
+ */
+var bumpInternalPackages = module.exports.bumpInternalPackages = function(rootDir, versions, remoteName, errCode) {
+    errCode = errCode || 1;
+    CoreUtil.beginStep('bumpInternalPackages');
+
+    var packages = findInternalPackages(rootDir);
+
+    // Determine and validate the new version of every package that is being bumped
+    var newVersions = {};
+    _.each(packages, function(pkg) {
+        var toVersion = _.isString(versions) ? versions : versions[pkg.name];
+        if (!toVersion) {
+            return;
+        } else if (_.contains(BUMP_KEYWORDS, toVersion)) {
+            toVersion = _incVersion(pkg.version, toVersion);
+        }
+
+        var tagName = util.format('%s@%s', pkg.name, toVersion);
+        if (!semver.valid(toVersion)) {
+            return CoreUtil.fail('The target version of '.text + pkg.name.error + ' of '.text + toVersion.error + ' is not a valid semver version'.text, errCode);
+        } else if (!semver.gt(toVersion, pkg.version)) {
+            return CoreUtil.fail('The target version of '.text + pkg.name.error + ' of '.text + toVersion.error + ' should be greater than its current version '.text + pkg.version.error, errCode);
+        } else if (_hasTag(remoteName, tagName, errCode)) {
+            return CoreUtil.fail('The tag '.text + tagName.error + ' already exists in the remote repository '.text + remoteName.error, errCode);
+        }
+
+        newVersions[pkg.name] = toVersion;
+    });
+
+    if (_.isEmpty(newVersions)) {
+        CoreUtil.logInfo('There are no internal packages to bump');
+        return newVersions;
+    }
+
+    var oldVersions = {};
+    _.each(packages, function(pkg) {
+        oldVersions[pkg.name] = pkg.version;
+    });
+
+    // Update the internal packages as well as the root package.json, since they can all reference internal packages
+    var packageJsonPaths = _.pluck(packages, 'packageJsonPath').concat(path.join(rootDir, 'package.json'));
+    _.each(packageJsonPaths, function(packageJsonPath) {
+        var changes = [];
+        var update = _updateJson(packageJsonPath, function(packageJson) {
+            if (newVersions[packageJson.name]) {
+                changes.push(util.format('version %s to %s', packageJson.version, newVersions[packageJson.name]));
+                packageJson.version = newVersions[packageJson.name];
+            }
+
+            _.each(DEPENDENCY_FIELDS, function(field) {
+                _.each(packageJson[field], function(range, name) {
+                    var newRange = _bumpRange(range, oldVersions[name], newVersions[name]);
+                    if (newRange) {
+                        changes.push(util.format('%s of %s from %s to %s', field, name, range, newRange));
+                        packageJson[field][name] = newRange;
+                    }
+                });
+            });
+        }, errCode);
+
+        update.stage = true;
+        if (!_.isEmpty(changes)) {
+            _writeUpdate(update, util.format('%s in %s', changes.join(', '), packageJsonPath));
+        }
+    });
+
+    _.each(newVersions, function(toVersion, name) {
+        var tagName = util.format('%s@%s', name, toVersion);
+        if (!_.contains(_releaseTags, tagName)) {
+            _releaseTags.push(tagName);
+        }
+    });
+
+    if (!CoreUtil.isDryRun()) {
+        CoreUtil.logSuccess(util.format('Successfully bumped %s internal package(s): %s', _.size(newVersions), _.map(newVersions, function(toVersion, name) {
+            return util.format('%s@%s', name, toVersion);
+        }).join(', ')));
+    }
+
+    return newVersions;
+};
+
+/**
+ * Prepend a dated section with the changes since the previous tag to the changelog file. The changelog file is included
+ * in the commit made by `gitCommitVersionAndTag`.
+ *
+ * @param  {String}     changelogPath   The path to the changelog file. It is created if it does not exist
+ * @param  {String}     toVersion       The target version of the release
+ * @param  {String}     [fromTag]       The tag from which to collect changes. Default: the most recent tag on the current branch
+ * @param  {Number}     [errCode]       The process error code to return on failure. Default: 1
+ * @return {String}                     The changelog section that was prepended
+ */
+var updateChangelog = module.exports.updateChangelog = function(changelogPath, toVersion, fromTag, errCode) {
+    errCode = errCode || 1;
+    var changes = ChangelogUtil.collectChanges(fromTag, errCode);
+    CoreUtil.beginStep('updateChangelog');
+
+    var existed = shell.test('-f', changelogPath);
+    var contentBefore = existed ? fs.readFileSync(changelogPath, 'utf8') : '';
+    var section = ChangelogUtil.renderSection(toVersion, changes);
+
+    if (CoreUtil.isDryRun()) {
+        CoreUtil.logDryRun('Would prepend the following section to '.text + changelogPath.white + ':\n'.text + section);
+        return section;
+    }
+
+    fs.writeFileSync(changelogPath, ChangelogUtil.prependSection(contentBefore, section));
+    _recordStep(util.format('Restore %s', changelogPath), function() {
+        if (existed) {
+            fs.writeFileSync(changelogPath, contentBefore);
+        } else {
+            shell.rm('-f', changelogPath);
+        }
 
-    if (shell.cat(packageJsonPath).indexOf(replaceWith) === -1) {
-        CoreUtil.logFail('Resulting package.json file did not contain the text ' + replaceWith.trim().error);
-        return process.exit(errCode);
+        return true;
+    });
+
+    if (!_.contains(_releaseFiles, changelogPath)) {
+        _releaseFiles.push(changelogPath);
     }
 
-    CoreUtil.logSuccess('Successfully bumped version to '.text + toVersion.white);
+    CoreUtil.logSuccess(util.format('Added %s change(s) to ', changes.length).text + changelogPath.white);
+    return section;
 };
 
 /**
@@ -121,37 +405,79 @@ var bumpPackageJsonVersion = module.exports.bumpPackageJsonVersion = function(pa
  */
 var shrinkwrap = module.exports.shrinkwrap = function(errCode) {
     errCode = errCode || 1;
+    CoreUtil.beginStep('shrinkwrap');
+    var hadShrinkwrap = shell.test('-f', 'npm-shrinkwrap.json');
+
     CoreUtil.logInfo('Starting to run npm shrinkwrap');
-    CoreUtil.exec('npm shrinkwrap', 'Failed to shrinkwrap dependencies', errCode);
-    CoreUtil.logSuccess('Successfully shrinkwrapped dependencies');
+    CoreUtil.execChange('npm shrinkwrap', 'Failed to shrinkwrap dependencies', errCode);
+    if (!CoreUtil.isDryRun()) {
+        // The shrinkwrap is part of the tagged release, it is removed afterward by `gitRemoveShrinkwrapAndCommit`
+        if (!_.contains(_releaseFiles, 'npm-shrinkwrap.json')) {
+            _releaseFiles.push('npm-shrinkwrap.json');
+        }
+
+        if (!hadShrinkwrap) {
+            _recordStep('Delete the generated npm-shrinkwrap.json', function() {
+                shell.rm('-f', 'npm-shrinkwrap.json');
+                return !shell.test('-f', 'npm-shrinkwrap.json');
+            });
+        }
+
+        CoreUtil.logSuccess('Successfully shrinkwrapped dependencies');
+    }
 };
 
 /**
- * Commit the changes to package.json and tag the commit as the target version. The commit will be pushed to the
- * remote repository in a branch of the same name as the local brnch, while the tag will also be pushed to the
- * remote repository.
+ * Commit the changes to package.json, and any other file changed for the release such as the changelog, and tag the
+ * commit as the target version. The commit will be pushed to the remote repository in a branch of the same name as the
+ * local brnch, while the tag will also be pushed to the remote repository.
  *
  * @param  {String}     tagVersion  The validated target version
  * @param  {Number}     [errCode]   The process error code to return on failure. Default: 1
  */
 var gitCommitVersionAndTag = module.exports.gitCommitVersionAndTag = function(tagVersion, remoteName, errCode) {
     errCode = errCode || 1;
+    CoreUtil.beginStep('gitCommitVersionAndTag');
     var commitMessage = util.format('(Release %s) Bump version', tagVersion);
     var branchName = _getCurrentBranchName(errCode);
 
     CoreUtil.logInfo('Committing version and tagging release');
 
-    // Stage package.json changes
-    CoreUtil.exec('git add package.json', 'Error adding package.json to git index', errCode);
+    // Stage package.json changes, along with the other files changed for the release
+    var files = ['package.json'].concat(_releaseFiles).join(' ');
+    CoreUtil.execChange(util.format('git add %s', files), util.format('Error adding %s to git index', files), errCode);
+    _recordUndoCommand(util.format('Unstage %s', files), util.format('git reset -q HEAD %s', files));
 
     // Commit, tag and push
-    CoreUtil.exec(util.format('git commit -m "%s"', commitMessage), 'Error committing to git', errCode);
-    CoreUtil.exec(util.format('git tag -a %s -m v%s', tagVersion, tagVersion), 'Error creating tag for release', errCode);
+    var headBefore = _getHead(errCode);
+    CoreUtil.execChange(util.format('git commit -m "%s"', commitMessage), 'Error committing to git', errCode);
+    _recordUndoCommand(util.format('Reset the commit "%s"', commitMessage), util.format('git reset -q --mixed %s', headBefore));
+    CoreUtil.execChange(util.format('git tag -a %s -m v%s', tagVersion, tagVersion), 'Error creating tag for release', errCode);
+    _recordUndoCommand(util.format('Delete the local tag %s', tagVersion), util.format('git tag -d %s', tagVersion));
+
+    // Tag the internal packages that were bumped for the release on the same commit
+    _.each(_releaseTags, function(tagName) {
+        CoreUtil.execChange(util.format('git tag -a %s -m %s', tagName, tagName), util.format('Error creating tag %s', tagName), errCode);
+        _recordUndoCommand(util.format('Delete the local tag %s', tagName), util.format('git tag -d %s', tagName));
+    });
+
+    var tags = [tagVersion].concat(_releaseTags);
     CoreUtil.logInfo('Authentication required to push tag');
-    CoreUtil.exec(util.format('git push %s %s', remoteName, tagVersion), util.format('Error pushing tag for release to remote "%s"', remoteName), errCode);
+    CoreUtil.execChange(util.format('git push %s %s', remoteName, tags.join(' ')), util.format('Error pushing tag for release to remote "%s"', remoteName), errCode);
+    _recordUndoCommand(util.format('Delete the tag(s) %s from remote "%s"', tags.join(', '), remoteName), util.format('git push %s %s', remoteName, _.map(tags, function(tagName) {
+        return ':refs/tags/' + tagName;
+    }).join(' ')));
     CoreUtil.logInfo('Authentication required to push shrinkwarp');
-    CoreUtil.exec(util.format('git push %s %s', remoteName, branchName), util.format('Error pushing shrinkwrap for release to repo slug %s/%s', remoteName, branchName), errCode);
-    CoreUtil.logSuccess('Created and pushed tag '.text + tagVersion.white + ' and '.text + '1 commit'.white);
+    CoreUtil.execChange(util.format('git push %s %s', remoteName, branchName), util.format('Error pushing shrinkwrap for release to repo slug %s/%s', remoteName, branchName), errCode);
+
+    // Once the branch has been pushed the release is public, so there is nothing left that we can safely undo
+    _completedSteps = [];
+    _releaseFiles = [];
+    _releaseTags = [];
+
+    if (!CoreUtil.isDryRun()) {
+        CoreUtil.logSuccess('Created and pushed tag(s) '.text + tags.join(', ').white + ' and '.text + '1 commit'.white);
+    }
 };
 
 /**
@@ -163,16 +489,111 @@ var gitCommitVersionAndTag = module.exports.gitCommitVersionAndTag = function(ta
  */
 var gitRemoveShrinkwrapAndCommit = module.exports.gitRemoveShrinkwrapAndCommit = function(tagVersion, remoteName, errCode) {
     errCode = errCode || 1;
+    CoreUtil.beginStep('gitRemoveShrinkwrapAndCommit');
     var commitMessage = util.format('(Release %s) Remove shrinkwrap', tagVersion);
     var branchName = _getCurrentBranchName(errCode);
 
     CoreUtil.logInfo('Removing shrinkwrap after tag');
 
     // Remove npm-shrinkwrap, commit and push
-    CoreUtil.exec('git rm npm-shrinkwrap.json', 'Error removing npm-shrinkwrap.json from git index', errCode);
-    CoreUtil.exec(util.format('git commit -m "%s"', commitMessage), 'Error committing shrinkwrap removal to git', errCode);
-    CoreUtil.exec(util.format('git push %s %s', remoteName, branchName), util.format('Error pushing shrinkwrap removal to repo slug %s/%s', remoteName, branchName), errCode);
-    CoreUtil.logSuccess('Removed shrinkwrap with '.text + '1 commit'.white);
+    CoreUtil.execChange('git rm npm-shrinkwrap.json', 'Error removing npm-shrinkwrap.json from git index', errCode);
+    _recordUndoCommand('Restore npm-shrinkwrap.json', 'git reset -q HEAD npm-shrinkwrap.json && git checkout -- npm-shrinkwrap.json');
+    var headBefore = _getHead(errCode);
+    CoreUtil.execChange(util.format('git commit -m "%s"', commitMessage), 'Error committing shrinkwrap removal to git', errCode);
+    _recordUndoCommand(util.format('Reset the commit "%s"', commitMessage), util.format('git reset -q --mixed %s', headBefore));
+    CoreUtil.execChange(util.format('git push %s %s', remoteName, branchName), util.format('Error pushing shrinkwrap removal to repo slug %s/%s', remoteName, branchName), errCode);
+    _completedSteps = [];
+
+    if (!CoreUtil.isDryRun()) {
+        CoreUtil.logSuccess('Removed shrinkwrap with '.text + '1 commit'.white);
+    }
+};
+
+/**
+ * Undo all the release steps that have been completed so far, in the reverse order in which they were performed. The
+ * `release` and `pipeline` commands invoke it when a step of the release fails (see the `rollback` option of
+ * `PipelineUtil.run`). Scripts that run the release steps themselves should invoke it when one of them fails.
+ *
+ * @return {Object[]}   The report of the steps that were undone. Each entry has a field `description` that describes the undo action and a field `undone` indicating whether or not it succeeded
+ */
+var rollback = module.exports.rollback = function() {
+    // Detach the steps first so that nothing gets undone twice
+    var steps = _completedSteps.reverse();
+    _completedSteps = [];
+
+    // The files and tags of the release that was rolled back must not leak into the next release of the same process
+    _releaseFiles = [];
+    _releaseTags = [];
+
+    if (_.isEmpty(steps)) {
+        return [];
+    }
+
+    CoreUtil.logWarn(util.format('Rolling back %s completed release step(s)', steps.length));
+
+    var report = _.map(steps, function(step) {
+        var undone = false;
+        try {
+            undone = step.undo();
+        } catch (ex) {
+            undone = false;
+        }
+
+        if (undone) {
+            CoreUtil.logWarn('Undone: '.text + step.description.white);
+        } else {
+            CoreUtil.logFail('Could not undo: '.text + step.description.error);
+        }
+
+        return {'description': step.description, 'undone': undone};
+    });
+
+    var failed = _.where(report, {'undone': false}).length;
+    if (failed) {
+        CoreUtil.logFail(util.format('Rollback finished with %s of %s step(s) that could not be undone, they need to be undone manually', failed, report.length));
+    } else {
+        CoreUtil.logWarn(util.format('Rollback finished, %s step(s) were undone', report.length));
+    }
+
+    return report;
+};
+
+/*!
+ * Remember a completed release step so it can be undone should a later step fail. Nothing is recorded in dry-run
+ * mode as nothing is changed.
+ *
+ * @param  {String}     description     A description of what undoing the step does
+ * @param  {Function}   undo            Invoked to undo the step. Should return `true` if the step was successfully undone
+ */
+var _recordStep = function(description, undo) {
+    if (CoreUtil.isDryRun()) {
+        return;
+    }
+
+    _completedSteps.push({'description': description, 'undo': undo});
+};
+
+/*!
+ * Remember a completed release step that can be undone by executing a command
+ *
+ * @param  {String}     description     A description of what undoing the step does
+ * @param  {String}     cmd             The command that undoes the step
+ */
+var _recordUndoCommand = function(description, cmd) {
+    _recordStep(description, function() {
+        // Use the shell directly so a failing undo command does not abort the remainder of the rollback
+        return (shell.exec(cmd, {'silent': true}).code === 0);
+    });
+};
+
+/*!
+ * Get the hash of the commit that is currently checked out
+ *
+ * @param  {Number}     [errCode]   The process error code to fail with if we cannot successfully get the result. Default: 1
+ * @return {String}                 The hash of the HEAD commit
+ */
+var _getHead = function(errCode) {
+    return CoreUtil.exec('git rev-parse HEAD', 'Error determining the current commit', errCode || 1).trim();
 };
 
 /*!
@@ -186,14 +607,311 @@ var _getCurrentBranchName = function(errCode) {
 
     CoreUtil.logInfo('Determining current branch');
 
-    // Determine the symbolic reference that represents the HEAD alias
-    var branch = CoreUtil.exec('git symbolic-ref HEAD', 'Error determining current branch', errCode).trim();
-    if (!branch) {
+    // Determine the symbolic reference that represents the HEAD alias. This fails quietly with code 1 when HEAD is
+    // detached, as it is not a symbolic reference then
+    var symbolicRef = shell.exec('git symbolic-ref -q HEAD', {'silent': true});
+    if (symbolicRef.code === 1) {
         return null;
+    } else if (symbolicRef.code !== 0) {
+        return CoreUtil.fail('Error determining current branch', errCode, {'cmd': 'git symbolic-ref -q HEAD', 'output': symbolicRef.output});
     }
 
-    // Branch is returned as refs/heads/<branch name>
-    return branch.split('/').pop();
+    // Branch is returned as refs/heads/<branch name>, where the branch name can contain slashes (e.g., release/4.2)
+    return symbolicRef.output.trim().replace(/^refs\/heads\//, '');
+};
+
+/*!
+ * Compute the new content of a JSON file whose version is set to the target version
+ *
+ * @param  {String}     jsonPath    The path to the JSON file
+ * @param  {String}     toVersion   The target version
+ * @param  {Number}     errCode     The process error code to return on failure
+ * @return {Object}                 An object with fields `path`, `fromVersion`, `contentBefore` and `contentAfter`
+ */
+var _updateJsonVersion = function(jsonPath, toVersion, errCode) {
+    var fromVersion = null;
+    var update = _updateJson(jsonPath, function(json) {
+        fromVersion = json.version;
+        json.version = toVersion;
+
+        // Lock files from npm 7 and newer also hold the version of the root package in the "packages" field
+        if (json.packages && json.packages[''] && json.packages[''].version) {
+            json.packages[''].version = toVersion;
+        }
+    }, errCode);
+
+    update.fromVersion = fromVersion;
+    return update;
+};
+
+/*!
+ * Compute the new content of a JSON file after applying changes to it. The indentation, line endings, key order and
+ * final newline of the file are kept.
+ *
+ * @param  {String}     jsonPath        The path to the JSON file
+ * @param  {Function}   update          Invoked with the parsed JSON file, which it should change in place
+ * @param  {Object}     update.json     The parsed JSON file
+ * @param  {Number}     errCode         The process error code to return on failure
+ * @return {Object}                     An object with fields `path`, `contentBefore` and `contentAfter`
+ */
+var _updateJson = function(jsonPath, update, errCode) {
+    if (!shell.test('-f', jsonPath)) {
+        return CoreUtil.fail('Could not find the file '.text + jsonPath.error + ' in which to bump the version'.text, errCode);
+    }
+
+    var contentBefore = fs.readFileSync(jsonPath, 'utf8');
+    var json = null;
+    try {
+        json = JSON.parse(contentBefore);
+    } catch (ex) {
+        return CoreUtil.fail('Parsing error trying to load '.text + jsonPath.error + '. It should be a valid JSON file'.text, errCode, {'output': ex.message});
+    }
+
+    update(json);
+
+    // Detect the formatting of the file from its first indented line. A file on a single line is kept on a single line
+    var indentMatch = contentBefore.match(/^([ \t]+)\S/m);
+    var indent = indentMatch ? indentMatch[1] : '  ';
+    if (contentBefore.trim().indexOf('\n') === -1) {
+        indent = null;
+    }
+    var eol = (contentBefore.indexOf('\r\n') !== -1) ? '\r\n' : '\n';
+    var finalNewline = /\n$/.test(contentBefore);
+
+    var contentAfter = JSON.stringify(json, null, indent).replace(/\n/g, eol);
+    if (finalNewline) {
+        contentAfter += eol;
+    }
+
+    return {
+        'path': jsonPath,
+        'contentBefore': contentBefore,
+        'contentAfter': contentAfter
+    };
+};
+
+/*!
+ * Write the new content of a file that is changed for the release. The change can be undone and the file is staged in
+ * the release commit if needed.
+ *
+ * @param  {Object}     update          The update of the file, as returned by `_updateJson`
+ * @param  {String}     description     A description of the change, used when reporting it
+ */
+var _writeUpdate = function(update, description) {
+    if (CoreUtil.isDryRun()) {
+        CoreUtil.logDryRun('Would change '.text + description);
+        return;
+    } else if (update.contentBefore === update.contentAfter) {
+        return;
+    }
+
+    fs.writeFileSync(update.path, update.contentAfter);
+    _recordStep(util.format('Revert the change of %s', description), function() {
+        fs.writeFileSync(update.path, update.contentBefore);
+        return true;
+    });
+
+    if (update.stage && !_.contains(_releaseFiles, update.path)) {
+        _releaseFiles.push(update.path);
+    }
+};
+
+/*!
+ * Compute the new content of a file in which the version is held in the given text pattern
+ *
+ * @param  {String}     filePath        The path to the file
+ * @param  {String}     pattern         The text that holds the version, with `%s` in place of the version
+ * @param  {String}     fromVersion     The expected previous version in the file
+ * @param  {String}     toVersion       The target version
+ * @param  {Number}     errCode         The process error code to return on failure
+ * @return {Object}                     An object with fields `path`, `fromVersion`, `contentBefore` and `contentAfter`
+ */
+var _updatePatternVersion = function(filePath, pattern, fromVersion, toVersion, errCode) {
+    if (!shell.test('-f', filePath)) {
+        return CoreUtil.fail('Could not find the file '.text + filePath.error + ' in which to bump the version'.text, errCode);
+    }
+
+    var replaceSource = util.format(pattern, fromVersion);
+    var replaceWith = util.format(pattern, toVersion);
+
+    var contentBefore = fs.readFileSync(filePath, 'utf8');
+    if (contentBefore.indexOf(replaceSource) === -1) {
+        return CoreUtil.fail('Could not find the text '.text + replaceSource.error + ' in '.text + filePath.error, errCode);
+    }
+
+    return {
+        'path': filePath,
+        'fromVersion': fromVersion,
+        'contentBefore': contentBefore,
+        'contentAfter': contentBefore.split(replaceSource).join(replaceWith)
+    };
+};
+
+/*!
+ * Compute the new range of a dependency on an internal package that is being bumped
+ *
+ * @param  {String}     range           The current range of the dependency
+ * @param  {String}     [fromVersion]   The previous version of the package. Not specified if the dependency is not an internal package
+ * @param  {String}     [toVersion]     The new version of the package. Not specified if the package is not being bumped
+ * @return {String}                     The new range of the dependency. `null` if the dependency should be left alone
+ */
+var _bumpRange = function(range, fromVersion, toVersion) {
+    if (!fromVersion || !toVersion) {
+        return null;
+    }
+
+    // An empty range means any version, which does not need to be bumped
+    var match = String(range).match(/^([\^~]?)(.+)$/);
+    if (!match || match[2] !== fromVersion) {
+        return null;
+    }
+
+    return match[1] + toVersion;
+};
+
+/*!
+ * Determine whether or not a file is tracked by git
+ *
+ * @param  {String}     filePath    The path to the file
+ * @return {Boolean}                `true` if the file is tracked, `false` otherwise
+ */
+var _isTracked = function(filePath) {
+    return (shell.exec(util.format('git ls-files --error-unmatch %s', filePath), {'silent': true}).code === 0);
+};
+
+/*!
+ * Compute the target version of a release from a bump keyword
+ *
+ * @param  {String}     currentVersion  The version currently in package.json
+ * @param  {String}     keyword         One of the bump keywords
+ * @param  {String}     [preid]         The prerelease identifier to use with the `prerelease` keyword
+ * @param  {String}     remoteName      The name of the remote repository in which to look for existing tags
+ * @param  {Number}     errCode         The process error code to return on failure
+ * @return {String}                     The computed target version
+ */
+var _computeTargetVersion = function(currentVersion, keyword, preid, remoteName, errCode) {
+    var tags = _getRemoteVersionTags(remoteName, errCode);
+
+    // The package.json version may lag behind the latest tag of its release line, so bump from whichever is greater
+    var releaseLine = _releaseLine(currentVersion);
+    var baseVersion = currentVersion;
+    _.each(tags, function(tag) {
+        if (_releaseLine(tag) === releaseLine && semver.gt(tag, baseVersion)) {
+            baseVersion = tag;
+        }
+    });
+
+    var toVersion = _incVersion(baseVersion, keyword, preid);
+    CoreUtil.logInfo(util.format('Computed target version %s by applying "%s" to version %s', toVersion, keyword, baseVersion));
+
+    if (_.contains(tags, toVersion)) {
+        return CoreUtil.fail('The computed target version '.text + toVersion.error + ' already exists as a tag in the remote repository '.text + remoteName.error, errCode);
+    }
+
+    var higherTag = _.find(tags, function(tag) {
+        return semver.gt(tag, toVersion);
+    });
+    if (higherTag) {
+        return CoreUtil.fail('The computed target version '.text + toVersion.error + ' would go backwards from the tag '.text + higherTag.error + ' in the remote repository. Specify the target version explicitly to release an older release line'.text, errCode);
+    }
+
+    return toVersion;
+};
+
+/*!
+ * Increment a version following the same rules as `npm version`
+ *
+ * @param  {String}     version     The version to increment
+ * @param  {String}     keyword     One of the bump keywords
+ * @param  {String}     [preid]     The prerelease identifier to use with the `prerelease` keyword
+ * @return {String}                 The incremented version
+ */
+var _incVersion = function(version, keyword, preid) {
+    var parsed = semver.parse(version);
+    var isPrerelease = !_.isEmpty(parsed.prerelease);
+    var prerelease = [];
+
+    if (keyword === 'major') {
+        // A prerelease of a major version (e.g., 2.0.0-rc.1) is bumped to its release
+        if (!isPrerelease || parsed.minor !== 0 || parsed.patch !== 0) {
+            parsed.major++;
+        }
+        parsed.minor = 0;
+        parsed.patch = 0;
+    } else if (keyword === 'minor') {
+        if (!isPrerelease || parsed.patch !== 0) {
+            parsed.minor++;
+        }
+        parsed.patch = 0;
+    } else if (keyword === 'patch') {
+        if (!isPrerelease) {
+            parsed.patch++;
+        }
+    } else if (keyword === 'prerelease') {
+        if (!isPrerelease) {
+            // Start a prerelease of the next patch version
+            parsed.patch++;
+            prerelease = preid ? [preid, 0] : [0];
+        } else if (preid && parsed.prerelease[0] !== preid) {
+            // Switch to a different prerelease identifier (e.g., from beta to rc)
+            prerelease = [preid, 0];
+        } else {
+            // Increment the last numeric identifier, or start counting if there is none
+            prerelease = parsed.prerelease.slice();
+            var last = prerelease.length - 1;
+            if (_.isNumber(prerelease[last])) {
+                prerelease[last]++;
+            } else {
+                prerelease.push(0);
+            }
+        }
+    }
+
+    var toVersion = [parsed.major, parsed.minor, parsed.patch].join('.');
+    if (!_.isEmpty(prerelease)) {
+        toVersion += '-' + prerelease.join('.');
+    }
+
+    return toVersion;
+};
+
+/*!
+ * Get the release line of a version
+ *
+ * @param  {String}     version     The version for which to get the release line
+ * @return {String}                 The release line, in the form <major>.<minor>
+ */
+var _releaseLine = function(version) {
+    var parsed = semver.parse(version);
+    return util.format('%s.%s', parsed.major, parsed.minor);
+};
+
+/*!
+ * Get all the tags in the remote repository that are valid semver versions
+ *
+ * @param  {String}     remoteName  The name of the remote to list the tags of
+ * @param  {Number}     [errCode]   The process error code to fail with if we cannot list the tags. Default: 1
+ * @return {String[]}               The versions of all the tags in the remote repository
+ */
+var _getRemoteVersionTags = function(remoteName, errCode) {
+    errCode = errCode || 1;
+
+    CoreUtil.logInfo('Listing remote tags');
+
+    // Each line of output looks like: <hash>\trefs/tags/<tag name>, with an extra ^{} line for annotated tags
+    var output = CoreUtil.exec(util.format('git ls-remote --tags %s', remoteName), 'An error occurred listing remote tags', errCode).trim();
+    return _.chain(output.split('\n'))
+        .map(function(line) {
+            var ref = line.split('\t')[1] || '';
+            if (ref.indexOf('refs/tags/') !== 0 || ref.slice(-3) === '^{}') {
+                return null;
+            }
+
+            return semver.valid(ref.slice('refs/tags/'.length));
+        })
+        .compact()
+        .uniq()
+        .value();
 };
 
 /*!
@@ -211,3 +929,245 @@ var _hasTag = function(remoteName, tagName, errCode) {
     var output = CoreUtil.exec(util.format('git ls-remote --tags %s %s', remoteName, tagName), 'An error occurred listning remote tags', errCode).trim();
     return (output !== '');
 };
+
+/*!
+ * The preflight checks of `validateRelease`, in the order in which they are performed. Each check is invoked with the
+ * context of the validation and returns the messages that describe why it failed, if any
+ */
+var _preflightChecks = {
+
+    /*!
+     * Ensure the package.json file can be read, unless it was given
+     */
+    'packageJson': function(context) {
+        if (!context.packageJson) {
+            var read = CoreUtil.attempt(function() {
+                return CoreUtil.readJson('package.json', context.errCode);
+            });
+            if (read.err) {
+                return [read.err.message];
+            }
+
+            context.packageJson = read.result;
+        }
+
+        return [];
+    },
+
+    /*!
+     * Ensure the release manifest can be loaded, unless it was given
+     */
+    'manifest': function(context) {
+        if (!context.manifest) {
+            var load = CoreUtil.attempt(function() {
+                return PackageUtil.loadReleaseManifest('.', context.errCode);
+            });
+            CoreUtil.beginStep('validateRelease');
+            if (load.err) {
+                return [load.err.message];
+            }
+
+            context.manifest = load.result;
+        }
+
+        return [];
+    },
+
+    /*!
+     * Ensure there are no unstaged or uncommitted changes in the repository
+     */
+    'workingTree': function(context) {
+        var problems = [];
+        if (shell.exec('git diff-files --quiet', {'silent': true}).code !== 0) {
+            problems.push('It appears you may have unstaged changes in your repository');
+        }
+
+        if (shell.exec('git diff-index --quiet --cached HEAD', {'silent': true}).code !== 0) {
+            problems.push('It appears you may have uncommitted changes in your repository');
+        }
+
+        return problems;
+    },
+
+    /*!
+     * Ensure the current branch is one from which releases are made
+     */
+    'branch': function(context) {
+        if (!context.branchName) {
+            return ['You must be on a branch so the release can be pushed to the remote git repository'];
+        }
+
+        var isReleaseBranch = _.some(context.branches, function(pattern) {
+            return CoreUtil.globToRegExp(pattern).test(context.branchName);
+        });
+        if (!isReleaseBranch) {
+            return [util.format('Releases can only be made from the branches %s, not from "%s"', context.branches.join(', '), context.branchName)];
+        }
+
+        return [];
+    },
+
+    /*!
+     * Ensure the current branch is the same as on the remote. This fetches from the remote, which only updates the
+     * remote-tracking references, so it is performed in dry-run mode as well
+     */
+    'remote': function(context) {
+        if (!context.branchName) {
+            return ['The current branch cannot be compared with the remote as HEAD is detached'];
+        }
+
+        var fetch = shell.exec(util.format('git fetch %s', context.remoteName), {'silent': true});
+        if (fetch.code !== 0) {
+            return [util.format('Failed to fetch the remote repository "%s": %s', context.remoteName, fetch.output.trim())];
+        }
+
+        if (shell.exec(util.format('git diff --quiet %s/%s', context.remoteName, context.branchName), {'silent': true}).code !== 0) {
+            return [util.format('It appears the local copy of branch "%s" is not synchronized with remote "%s". You may need to push or pull in order to ensure we can safely push release information', context.branchName, context.remoteName)];
+        }
+
+        return [];
+    },
+
+    /*!
+     * Ensure no untracked file would be packaged, as the package would then differ from the tagged commit. Ignored
+     * files are not considered untracked
+     */
+    'untrackedFiles': function(context) {
+        if (!context.manifest) {
+            return ['The untracked files cannot be checked without the release manifest'];
+        }
+
+        var untracked = CoreUtil.exec('git ls-files --others --exclude-standard', 'Error listing the untracked files', context.errCode).trim();
+        return _.chain(untracked ? untracked.split('\n') : [])
+            .filter(function(relativePath) {
+                return PackageUtil.isPackaged(relativePath, context.manifest);
+            })
+            .map(function(relativePath) {
+                return util.format('The untracked file %s would be included in the release package', relativePath);
+            })
+            .value();
+    },
+
+    /*!
+     * Ensure the npm-shrinkwrap.json file, if any, describes the modules that are actually installed
+     */
+    'shrinkwrap': function(context) {
+        if (!shell.test('-f', 'npm-shrinkwrap.json')) {
+            return [];
+        }
+
+        var shrinkwrap = null;
+        try {
+            shrinkwrap = JSON.parse(fs.readFileSync('npm-shrinkwrap.json', 'utf8'));
+        } catch (ex) {
+            return [util.format('The npm-shrinkwrap.json file is not a valid JSON file: %s', ex.message)];
+        }
+
+        var modules = AuditUtil.getLockfileModules(shrinkwrap);
+        var problems = _.chain(modules).map(_compareShrinkwrapModule).compact().value();
+        var modulePaths = _.pluck(modules, 'path');
+        _.each(_listInstalledModules('node_modules'), function(name) {
+            var modulePath = path.join('node_modules', name);
+            if (!_.contains(modulePaths, modulePath)) {
+                problems.push(util.format('The module %s is installed but is not in npm-shrinkwrap.json', modulePath));
+            }
+        });
+
+        return problems;
+    },
+
+    /*!
+     * Ensure the version of node satisfies the `engines` field of package.json
+     */
+    'engines': function(context) {
+        if (!context.packageJson) {
+            return ['The engines field cannot be checked without the package.json file'];
+        }
+
+        var range = context.packageJson.engines && context.packageJson.engines.node;
+        var nodeVersion = process.version.slice(1);
+        if (range && !semver.satisfies(nodeVersion, range)) {
+            return [util.format('Node %s does not satisfy the "%s" version required by the engines field of package.json', nodeVersion, range)];
+        }
+
+        return [];
+    },
+
+    /*!
+     * Ensure all dependencies are versions from the npm registry rather than git urls or local paths
+     */
+    'dependencies': function(context) {
+        if (!context.packageJson) {
+            return ['The dependencies cannot be checked without the package.json file'];
+        }
+
+        var problems = [];
+        _.each(DEPENDENCY_FIELDS, function(field) {
+            _.each(context.packageJson[field], function(version, name) {
+                if (UNPUBLISHED_DEPENDENCY_REGEX.test(version)) {
+                    problems.push(util.format('The dependency %s of the %s field of package.json is not a published version: %s', name, field, version));
+                }
+            });
+        });
+
+        return problems;
+    }
+};
+
+/*!
+ * Compare a module of npm-shrinkwrap.json with the module that is installed at its path
+ *
+ * @param  {Object}     moduleInfo      The module, as returned by `AuditUtil.getLockfileModules`
+ * @return {String}                     The message that describes how the installed module differs. `null` if it does not
+ */
+var _compareShrinkwrapModule = function(moduleInfo) {
+    var packageJsonPath = path.join(moduleInfo.path, 'package.json');
+    if (!shell.test('-f', packageJsonPath)) {
+        // The same modules may be missing as in the audit of the dependencies
+        if (AuditUtil.mayBeMissing(moduleInfo)) {
+            return null;
+        }
+
+        return util.format('The module %s@%s of npm-shrinkwrap.json is not installed in %s', moduleInfo.name, moduleInfo.version, path.dirname(moduleInfo.path));
+    }
+
+    var installedVersion = null;
+    try {
+        installedVersion = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8')).version;
+    } catch (ex) {
+        return util.format('The package.json file of the module %s is not a valid JSON file', moduleInfo.path);
+    }
+
+    if (moduleInfo.version && installedVersion !== moduleInfo.version) {
+        return util.format('The module %s is installed at version %s, but npm-shrinkwrap.json has version %s', moduleInfo.path, installedVersion, moduleInfo.version);
+    }
+
+    return null;
+};
+
+/*!
+ * List the modules that are installed in a node_modules directory, including scoped modules (e.g., "@scope/name")
+ *
+ * @param  {String}     modulesDir      The node_modules directory
+ * @return {String[]}                   The names of the installed modules
+ */
+var _listInstalledModules = function(modulesDir) {
+    if (!shell.test('-d', modulesDir)) {
+        return [];
+    }
+
+    return _.chain(fs.readdirSync(modulesDir))
+        .map(function(entry) {
+            if (entry.charAt(0) === '.') {
+                return [];
+            } else if (entry.charAt(0) === '@') {
+                return _.map(fs.readdirSync(path.join(modulesDir, entry)), function(scopedEntry) {
+                    return util.format('%s/%s', entry, scopedEntry);
+                });
+            }
+
+            return [entry];
+        })
+        .flatten()
+        .value();
+};
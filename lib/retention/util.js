@@ -0,0 +1,265 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var path = require('path');
+var semver = require('semver');
+var util = require('util');
+
+var CoreUtil = require('../util');
+var UploadUtil = require('../upload/util');
+
+// The rules a retention policy can have. A version is pruned as soon as one of the rules of the policy of its channel
+// says so
+var POLICY_RULES = module.exports.POLICY_RULES = {
+    'keep': 'The number of versions to keep per release line (e.g., "4.2"), newest first',
+    'maxAge': 'The number of days after which a version is pruned'
+};
+
+var DAY_MILLIS = 24 * 60 * 60 * 1000;
+
+/**
+ * Ensure the retention policies are valid. The policies are an object keyed by channel, where releases are in the
+ * "release" channel, prereleases in the channel of their tag (e.g., "rc" or "nightly") and builds of commits after a
+ * release tag in the "snapshot" channel. Each policy has one or more of the rules of `POLICY_RULES`:
+ *
+ * ```json
+ * {
+ *     "release": {"keep": 3},
+ *     "rc": {"keep": 1},
+ *     "nightly": {"maxAge": 30}
+ * }
+ * ```
+ *
+ * @param  {Object}     policies    The retention policies to validate
+ * @param  {Number}     [errCode]   The process error code to return on failure. Default: 1
+ */
+var validatePolicies = module.exports.validatePolicies = function(policies, errCode) {
+    errCode = errCode || 1;
+    CoreUtil.beginStep('validatePolicies');
+
+    if (!_.isObject(policies) || _.isEmpty(policies)) {
+        return CoreUtil.fail('At least one retention policy must be specified', errCode);
+    }
+
+    _.each(policies, function(policy, channel) {
+        if (!_.isObject(policy) || _.isEmpty(policy)) {
+            return CoreUtil.fail(util.format('The retention policy of the "%s" channel must have at least one of the rules: %s', channel, _.keys(POLICY_RULES).join(', ')), errCode);
+        }
+
+        _.each(policy, function(value, rule) {
+            if (!POLICY_RULES[rule]) {
+                return CoreUtil.fail(util.format('The retention policy of the "%s" channel has the unknown rule "%s". Known rules are: %s', channel, rule, _.keys(POLICY_RULES).join(', ')), errCode);
+            } else if (!_.isNumber(value) || value < 1 || Math.floor(value) !== value) {
+                return CoreUtil.fail(util.format('The "%s" rule of the retention policy of the "%s" channel must be a positive integer. However, it was: %s', rule, channel, JSON.stringify(value)), errCode);
+            }
+        });
+    });
+};
+
+/**
+ * Get the channel of a version of a release index
+ *
+ * @param  {String}     version     The version
+ * @param  {Object}     release     The entry of the version in the release index
+ * @return {String}                 The channel of the version: the channel it was published in, "release" for a release or "snapshot" for a build of a commit after a release tag
+ */
+var getChannel = module.exports.getChannel = function(version, release) {
+    if (release.channel) {
+        return release.channel;
+    } else if (semver.valid(version) && _.isEmpty(semver.parse(version).prerelease)) {
+        return 'release';
+    }
+
+    return 'snapshot';
+};
+
+/**
+ * Determine which versions of a release index should be pruned according to the retention policies. Versions of a
+ * channel without a policy are always kept, as are the versions that a latest version pointer of the index points to.
+ *
+ * @param  {Object}     index           The release index, as returned by `UploadUtil.getIndex`
+ * @param  {Object}     policies        The retention policies. See `validatePolicies`
+ * @param  {Date}       [now]           The date against which the age of the versions is determined. Default: now
+ * @return {Object[]}                   The versions to prune, newest first. Each has the fields `version`, `channel`, `reason` and `artifacts` (as listed in the index)
+ */
+var planPrune = module.exports.planPrune = function(index, policies, now) {
+    now = now || new Date();
+
+    var pointedVersions = _.values(_.omit(index, 'versions'));
+    var keptCounts = {};
+    var pruned = [];
+    _.each(_.keys(index.versions).sort(UploadUtil.compareVersions), function(version) {
+        var release = index.versions[version];
+        var channel = getChannel(version, release);
+        var policy = policies[channel];
+        if (!policy) {
+            return;
+        }
+
+        // Versions are counted per release line of their channel, so e.g. the last 3 patch releases of 4.1 are kept
+        // even when 4.2 has more recent ones
+        var line = semver.valid(version) ? util.format('%s.%s', semver.parse(version).major, semver.parse(version).minor) : version;
+        var lineKey = util.format('%s %s', channel, line);
+        keptCounts[lineKey] = keptCounts[lineKey] || 0;
+
+        var reason = null;
+        var published = Date.parse(release.published);
+        if (policy.maxAge && !isNaN(published) && (now.getTime() - published) > policy.maxAge * DAY_MILLIS) {
+            reason = util.format('published more than %s day(s) ago', policy.maxAge);
+        } else if (policy.keep && keptCounts[lineKey] >= policy.keep) {
+            reason = util.format('%s newer %s version(s) of %s are kept', policy.keep, channel, line);
+        }
+
+        if (!reason || _.contains(pointedVersions, version)) {
+            keptCounts[lineKey]++;
+            return;
+        }
+
+        pruned.push({
+            'version': version,
+            'channel': channel,
+            'reason': reason,
+            'artifacts': release.artifacts || []
+        });
+    });
+
+    return pruned;
+};
+
+/**
+ * Prune the published versions of a base directory according to the retention policies (see `planPrune`). The
+ * artifacts of each pruned version are deleted from the storage and the deletion is recorded in the audit log (see
+ * `UploadUtil.appendAuditLog`), after which the versions are removed from the index. When dry-run mode is enabled,
+ * the versions and artifacts that would be pruned are only listed.
+ *
+ * @param  {Object}     storage             The storage backend in which the releases are published, as created by `UploadUtil.createStorage`
+ * @param  {String}     baseDirectory       The base directory of the storage in which the releases are published (e.g., "oae")
+ * @param  {Object}     policies            The retention policies. See `validatePolicies`
+ * @param  {Function}       callback            Invoked when the versions have been pruned
+ * @param  {ReleaseError}   callback.err        An error that occurred, if any
+ * @param  {Object[]}       callback.pruned     The versions that were pruned, as returned by `planPrune`
+ */
+var prune = module.exports.prune = function(storage, baseDirectory, policies, callback) {
+    CoreUtil.beginStep('prune');
+
+    UploadUtil.getIndex(storage, baseDirectory, function(err, index) {
+        if (err) {
+            return callback(err);
+        }
+
+        var pruned = planPrune(index, policies);
+        if (_.isEmpty(pruned)) {
+            CoreUtil.logSuccess(util.format('None of the %s published version(s) need to be pruned', _.size(index.versions)));
+            return callback(null, pruned);
+        }
+
+        _.each(pruned, function(version) {
+            CoreUtil.logInfo(util.format('Pruning version %s of the %s channel, as %s', version.version.white, version.channel.white, version.reason));
+        });
+
+        if (CoreUtil.isDryRun()) {
+            _.each(pruned, function(version) {
+                _.each(version.artifacts, function(artifact) {
+                    CoreUtil.logDryRun(util.format('Would delete %s', storage.url(path.join(baseDirectory, artifact.path))));
+                });
+            });
+            return callback(null, pruned);
+        }
+
+        _pruneAll(storage, baseDirectory, pruned, function(err) {
+            if (err) {
+                return callback(err);
+            }
+
+            _.each(pruned, function(version) {
+                delete index.versions[version.version];
+            });
+
+            UploadUtil.saveIndex(storage, baseDirectory, index, function(err) {
+                if (err) {
+                    return callback(err);
+                }
+
+                CoreUtil.logSuccess(util.format('Pruned %s version(s) from ', pruned.length).text + storage.url(baseDirectory).white);
+                return callback(null, pruned);
+            });
+        });
+    });
+};
+
+/*!
+ * Delete the artifacts of each version from the storage and record the deletion in the audit log, one version after
+ * the other. Deleting an artifact that no longer exists is not an error, so a prune that failed half-way can be resumed
+ *
+ * @param  {Object}         storage             The storage backend in which the releases are published
+ * @param  {String}         baseDirectory       The base directory of the storage in which the releases are published
+ * @param  {Object[]}       versions            The versions to prune, as returned by `planPrune`
+ * @param  {Function}       callback            Invoked when the versions have been pruned
+ * @param  {ReleaseError}   callback.err        An error that occurred, if any
+ */
+var _pruneAll = function(storage, baseDirectory, versions, callback) {
+    if (_.isEmpty(versions)) {
+        return callback();
+    }
+
+    var version = _.first(versions);
+    var objectPaths = _.map(version.artifacts, function(artifact) {
+        return path.join(baseDirectory, artifact.path);
+    });
+
+    _removeAll(storage, objectPaths, function(err) {
+        if (err) {
+            return callback(err);
+        }
+
+        UploadUtil.appendAuditLog(storage, baseDirectory, {
+            'action': 'prune',
+            'version': version.version,
+            'objects': objectPaths,
+            'reason': version.reason
+        }, function(err) {
+            if (err) {
+                return callback(err);
+            }
+
+            return _pruneAll(storage, baseDirectory, _.rest(versions), callback);
+        });
+    });
+};
+
+/*!
+ * Delete each object from the storage, one after the other
+ *
+ * @param  {Object}         storage         The storage backend from which to delete the objects
+ * @param  {String[]}       objectPaths     The paths of the objects to delete
+ * @param  {Function}       callback        Invoked when the objects have been deleted
+ * @param  {ReleaseError}   callback.err    An error that occurred, if any
+ */
+var _removeAll = function(storage, objectPaths, callback) {
+    if (_.isEmpty(objectPaths)) {
+        return callback();
+    }
+
+    var objectPath = _.first(objectPaths);
+    CoreUtil.logInfo(util.format('Deleting %s', storage.url(objectPath).white));
+    storage.remove(objectPath, function(err) {
+        if (err) {
+            return callback(err);
+        }
+
+        return _removeAll(storage, _.rest(objectPaths), callback);
+    });
+};
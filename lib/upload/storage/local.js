@@ -0,0 +1,155 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var shell = require('shelljs');
+var util = require('util');
+
+var CoreUtil = require('../../util');
+var ReleaseError = require('../../error');
+
+/**
+ * Ensure a storage backend can be created for a local directory with the given options.
+ *
+ * @param  {Object}     opts                The options of the storage backend. See `create`
+ * @param  {Number}     [errCode]           The process error code to return on failure. Default: 1
+ */
+var validate = module.exports.validate = function(opts, errCode) {
+    errCode = errCode || 1;
+
+    if (!opts.directory) {
+        return CoreUtil.fail('The directory in which to store the release artifacts must be specified', errCode);
+    } else if (!shell.test('-d', opts.directory)) {
+        return CoreUtil.fail(util.format('The directory "%s" in which to store the release artifacts does not exist', opts.directory), errCode);
+    }
+};
+
+/**
+ * Create a storage backend that stores objects as files in a local directory, such as an NFS mount. Files are
+ * written under a temporary name and renamed once complete, so readers never see a partial file.
+ *
+ * @param  {Object}     opts                The options of the storage backend
+ * @param  {String}     opts.directory      The directory in which to store the objects
+ * @return {Object}                         The storage backend. See `UploadUtil.createStorage`
+ */
+var create = module.exports.create = function(opts) {
+    var directory = path.resolve(opts.directory);
+    return {
+        'url': function(objectPath) {
+            return util.format('file://%s', path.join(directory, objectPath));
+        },
+        'exists': function(objectPath, callback) {
+            fs.lstat(path.join(directory, objectPath), function(err) {
+                if (err && err.code === 'ENOENT') {
+                    return callback(null, false);
+                } else if (err) {
+                    return callback(_error(util.format('An unknown error occurred while checking if the file "%s" exists', objectPath), err.message));
+                }
+
+                return callback(null, true);
+            });
+        },
+        'put': function(objectPath, filePath, callback) {
+            var targetPath = path.join(directory, objectPath);
+            var partPath = targetPath + '.part';
+            shell.mkdir('-p', path.dirname(targetPath));
+
+            _copy(filePath, partPath, function(err) {
+                if (err) {
+                    shell.rm('-f', partPath);
+                    return callback(_error(util.format('Failed to copy the file "%s" to "%s"', filePath, targetPath), err.message));
+                }
+
+                fs.rename(partPath, targetPath, function(err) {
+                    if (err) {
+                        shell.rm('-f', partPath);
+                        return callback(_error(util.format('Failed to copy the file "%s" to "%s"', filePath, targetPath), err.message));
+                    }
+
+                    return callback();
+                });
+            });
+        },
+        'get': function(objectPath, filePath, callback) {
+            var sourcePath = path.join(directory, objectPath);
+            _copy(sourcePath, filePath, function(err) {
+                if (err) {
+                    return callback(_error(util.format('Failed to copy the file "%s" to "%s"', sourcePath, filePath), err.message));
+                }
+
+                return callback();
+            });
+        },
+        'remove': function(objectPath, callback) {
+            fs.unlink(path.join(directory, objectPath), function(err) {
+                if (err && err.code !== 'ENOENT') {
+                    return callback(_error(util.format('Failed to delete the file "%s"', objectPath), err.message));
+                }
+
+                return callback();
+            });
+        }
+    };
+};
+
+/*!
+ * Copy a file. When the copy fails, both files are closed and the partial copy is removed
+ *
+ * @param  {String}     sourcePath      The path of the file to copy
+ * @param  {String}     targetPath      The path of the copy
+ * @param  {Function}   callback        Invoked when the file has been copied, with the error that occurred, if any
+ */
+var _copy = function(sourcePath, targetPath, callback) {
+    var failed = false;
+    var onError = function(err) {
+        if (failed) {
+            return;
+        }
+
+        failed = true;
+        readStream.destroy();
+
+        // The copy is only removed once it is closed, as it would otherwise be created again if it was still opening
+        writeStream.on('close', function() {
+            fs.unlink(targetPath, function() {
+                return callback(err);
+            });
+        });
+        writeStream.destroy();
+    };
+
+    var readStream = fs.createReadStream(sourcePath);
+    var writeStream = fs.createWriteStream(targetPath);
+    readStream.on('error', onError);
+    writeStream.on('error', onError);
+    writeStream.on('close', function() {
+        if (!failed) {
+            return callback();
+        }
+    });
+    readStream.pipe(writeStream);
+};
+
+/*!
+ * Create an error for a failure that occurred while accessing the directory
+ *
+ * @param  {String}         message     The message that describes the error
+ * @param  {String}         [output]    The system error that describes the failure
+ * @return {ReleaseError}               The error
+ */
+var _error = function(message, output) {
+    return new ReleaseError(message, 1, {'step': 'upload', 'output': output});
+};
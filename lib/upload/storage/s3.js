@@ -0,0 +1,576 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var amazons3 = require('awssum-amazon-s3');
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+var url = require('url');
+var util = require('util');
+
+var CoreUtil = require('../../util');
+var ReleaseError = require('../../error');
+
+// The default size of the parts of a multipart upload. Files that are not larger than this are uploaded in one request
+var DEFAULT_PART_SIZE = 16 * 1024 * 1024;
+
+// The smallest size S3 accepts for the parts of a multipart upload, except for the last one
+var MIN_PART_SIZE = 5 * 1024 * 1024;
+
+// The smallest file for which the progress of the upload is shown
+var PROGRESS_MIN_SIZE = 1024 * 1024;
+
+// The longest time to wait before retrying a failed request, in milliseconds
+var MAX_RETRY_DELAY = 30000;
+
+/**
+ * Ensure a storage backend can be created for an Amazon S3 bucket with the given options.
+ *
+ * @param  {Object}     opts                        The options of the storage backend. See `create`
+ * @param  {Number}     [errCode]                   The process error code to return on failure. Default: 1
+ */
+var validate = module.exports.validate = function(opts, errCode) {
+    errCode = errCode || 1;
+
+    if (!opts.bucket) {
+        return CoreUtil.fail('The name of the Amazon S3 bucket must be specified', errCode);
+    } else if (!opts.accessKeyId && !process.env.AWS_ACCESS_KEY_ID) {
+        return CoreUtil.fail('Environment variable "AWS_ACCESS_KEY_ID" must be set', errCode);
+    } else if (!opts.secretAccessKey && !process.env.AWS_SECRET_ACCESS_KEY) {
+        return CoreUtil.fail('Environment variable "AWS_SECRET_ACCESS_KEY" must be set', errCode);
+    } else if (opts.endpoint && !url.parse(opts.endpoint).hostname) {
+        return CoreUtil.fail(util.format('The S3 endpoint "%s" is not a valid url', opts.endpoint), errCode);
+    } else if (opts.partSize && !(opts.partSize >= MIN_PART_SIZE)) {
+        return CoreUtil.fail(util.format('The part size of multipart uploads must be at least %s bytes', MIN_PART_SIZE), errCode);
+    } else if (opts.concurrency && !(opts.concurrency >= 1)) {
+        return CoreUtil.fail('The number of parts to upload in parallel must be at least 1', errCode);
+    } else if (!_.isUndefined(opts.retries) && !(opts.retries >= 0)) {
+        return CoreUtil.fail('The number of retries of a failed request cannot be negative', errCode);
+    }
+};
+
+/**
+ * Create a storage backend that stores objects in an Amazon S3 bucket, or in a bucket of an S3-compatible object
+ * store such as MinIO or Ceph. The buckets of an S3-compatible object store are addressed in the path of the requests
+ * (e.g., http://minio.example.com:9000/my-bucket/oae/4.2/Hilary-4.2.0.tar.gz).
+ *
+ * Large files are uploaded in parts, several at a time. A failed request is retried with an exponential backoff and
+ * when an upload fails anyway, the parts that were uploaded are kept so running it again resumes it. The state of a
+ * multipart upload is kept in a `<file>.upload.json` file next to the uploaded file until the upload completes. Once
+ * a file is uploaded, the size and ETag of the object are compared with the file.
+ *
+ * @param  {Object}     opts                        The options of the storage backend
+ * @param  {String}     opts.bucket                 The name of the bucket
+ * @param  {String}     [opts.region]               The Amazon region of the bucket. Default: us-east-1
+ * @param  {String}     [opts.endpoint]             The url of an S3-compatible object store (e.g., "http://minio.example.com:9000"). Default: the Amazon S3 endpoint of the region
+ * @param  {String}     [opts.accessKeyId]          The access key id. Default: the AWS_ACCESS_KEY_ID environment variable
+ * @param  {String}     [opts.secretAccessKey]      The secret access key. Default: the AWS_SECRET_ACCESS_KEY environment variable
+ * @param  {Number}     [opts.partSize]             The size of the parts of a multipart upload, in bytes. Default: 16MB
+ * @param  {Number}     [opts.concurrency]          The number of parts to upload in parallel. Default: 4
+ * @param  {Number}     [opts.retries]              The number of times to retry a failed request. Default: 5
+ * @return {Object}                                 The storage backend. See `UploadUtil.createStorage`
+ */
+var create = module.exports.create = function(opts) {
+    var s3Opts = {
+        'accessKeyId': opts.accessKeyId || process.env.AWS_ACCESS_KEY_ID,
+        'secretAccessKey': opts.secretAccessKey || process.env.AWS_SECRET_ACCESS_KEY,
+        'region': opts.region || amazons3.US_EAST_1
+    };
+
+    var endpoint = opts.endpoint ? url.parse(opts.endpoint) : null;
+    if (endpoint) {
+        s3Opts.protocol = endpoint.protocol.replace(/:$/, '');
+    }
+
+    var s3 = new amazons3.S3(s3Opts);
+    if (endpoint) {
+        // Awssum has no notion of custom endpoints and addresses buckets as virtual hosts, so point its requests to
+        // the object store and move the bucket into the path. The bucket is part of the signed resource either way
+        var request = s3.request;
+        s3.request = function(options, callback) {
+            options.host = endpoint.hostname;
+            options.port = endpoint.port;
+            options.path = util.format('/%s%s', opts.bucket, options.path);
+            return request.call(s3, options, callback);
+        };
+    }
+
+    var settings = {
+        'bucket': opts.bucket,
+        'partSize': opts.partSize || DEFAULT_PART_SIZE,
+        'concurrency': opts.concurrency || 4,
+        'retries': _.isUndefined(opts.retries) ? 5 : opts.retries
+    };
+
+    return {
+        'url': function(objectPath) {
+            return util.format('s3://%s/%s', opts.bucket, objectPath);
+        },
+        'exists': function(objectPath, callback) {
+            _getMetadata(s3, settings, objectPath, function(err, metadata) {
+                if (err) {
+                    return callback(err);
+                }
+
+                return callback(null, !!metadata);
+            });
+        },
+        'put': function(objectPath, filePath, callback) {
+            fs.stat(filePath, function(err, stat) {
+                if (err) {
+                    return callback(_error(util.format('Could not read the file "%s"', filePath), err.message));
+                }
+
+                var progress = {'update': _.identity, 'done': _.identity};
+                if (stat.size >= PROGRESS_MIN_SIZE) {
+                    progress = CoreUtil.createProgressBar(path.basename(filePath), stat.size);
+                }
+
+                var put = (stat.size > settings.partSize) ? _putMultipart : _putSingle;
+                put(s3, settings, objectPath, filePath, stat.size, progress, function(err) {
+                    progress.done();
+                    if (err) {
+                        return callback(err);
+                    }
+
+                    return _verifyUpload(s3, settings, objectPath, filePath, stat.size, callback);
+                });
+            });
+        },
+        'get': function(objectPath, filePath, callback) {
+            _retry(settings.retries, util.format('download of %s', objectPath), function(callback) {
+                s3.GetObject({'BucketName': settings.bucket, 'ObjectName': objectPath}, {'stream': true}, function(err, data) {
+                    if (err) {
+                        // The response of a failed streamed request is not read, so drain it
+                        if (err.Stream) {
+                            err.Stream.resume();
+                        }
+
+                        return callback(_error(util.format('Failed to download the S3 object %s', objectPath), JSON.stringify(_.omit(err, 'Stream'))));
+                    }
+
+                    var res = data.Stream;
+                    var failed = false;
+                    var writeStream = fs.createWriteStream(filePath);
+                    var onError = function(err) {
+                        if (!failed) {
+                            failed = true;
+                            return callback(_error(util.format('Failed to download the S3 object %s', objectPath), err.message));
+                        }
+                    };
+
+                    res.on('error', onError);
+                    writeStream.on('error', onError);
+                    writeStream.on('close', function() {
+                        if (!failed) {
+                            return callback();
+                        }
+                    });
+                    res.pipe(writeStream);
+                });
+            }, callback);
+        },
+        'remove': function(objectPath, callback) {
+            _retry(settings.retries, util.format('deletion of %s', objectPath), function(callback) {
+                // S3 responds with a 204 whether or not the object existed
+                s3.DeleteObject({'BucketName': settings.bucket, 'ObjectName': objectPath}, function(err) {
+                    if (err) {
+                        return callback(_error(util.format('Failed to delete the S3 object %s', objectPath), JSON.stringify(err, null, 2)));
+                    }
+
+                    return callback();
+                });
+            }, callback);
+        }
+    };
+};
+
+/*!
+ * Get the metadata of an object
+ *
+ * @param  {S3}             s3                  The S3 client
+ * @param  {Object}         settings            The settings of the storage backend
+ * @param  {String}         objectPath          The path of the object
+ * @param  {Function}       callback            Invoked when the metadata has been retrieved
+ * @param  {ReleaseError}   callback.err        An error that occurred, if any
+ * @param  {Object}         callback.metadata   The response headers of the object, or `null` if it does not exist
+ */
+var _getMetadata = function(s3, settings, objectPath, callback) {
+    _retry(settings.retries, util.format('check of %s', objectPath), function(callback) {
+        s3.GetObjectMetadata({'BucketName': settings.bucket, 'ObjectName': objectPath}, function(err, data) {
+            if (err && err.StatusCode === 404) {
+                return callback(null, null);
+            } else if (err) {
+                return callback(_error('An unknown error occurred while checking if an S3 object exists', JSON.stringify(err, null, 2)));
+            }
+
+            return callback(null, data.Headers);
+        });
+    }, callback);
+};
+
+/*!
+ * Upload a file as an object in a single request
+ *
+ * @param  {S3}             s3              The S3 client
+ * @param  {Object}         settings        The settings of the storage backend
+ * @param  {String}         objectPath      The path of the object
+ * @param  {String}         filePath        The path of the file to upload
+ * @param  {Number}         size            The size of the file
+ * @param  {Object}         progress        The progress bar of the upload
+ * @param  {Function}       callback        Invoked when the file has been uploaded
+ * @param  {ReleaseError}   callback.err    An error that occurred, if any
+ */
+var _putSingle = function(s3, settings, objectPath, filePath, size, progress, callback) {
+    _retry(settings.retries, util.format('upload of "%s"', filePath), function(callback) {
+        var body = fs.createReadStream(filePath);
+        var uploaded = _trackProgress(body, progress);
+        s3.PutObject({'BucketName': settings.bucket, 'ObjectName': objectPath, 'ContentLength': size, 'Body': body}, function(err) {
+            if (err) {
+                progress.update(-uploaded());
+                return callback(_error(util.format('Failed to upload the file "%s"', filePath), JSON.stringify(err)));
+            }
+
+            return callback();
+        });
+    }, callback);
+};
+
+/*!
+ * Upload a file as an object in parts, resuming a previous upload of the file if there is one
+ *
+ * @param  {S3}             s3              The S3 client
+ * @param  {Object}         settings        The settings of the storage backend
+ * @param  {String}         objectPath      The path of the object
+ * @param  {String}         filePath        The path of the file to upload
+ * @param  {Number}         size            The size of the file
+ * @param  {Object}         progress        The progress bar of the upload
+ * @param  {Function}       callback        Invoked when the file has been uploaded
+ * @param  {ReleaseError}   callback.err    An error that occurred, if any
+ */
+var _putMultipart = function(s3, settings, objectPath, filePath, size, progress, callback) {
+    var statePath = filePath + '.upload.json';
+    var parts = _.map(_.range(Math.ceil(size / settings.partSize)), function(index) {
+        var start = index * settings.partSize;
+        return {'PartNumber': index + 1, 'start': start, 'length': Math.min(settings.partSize, size - start), 'ETag': null};
+    });
+
+    _startMultipart(s3, settings, objectPath, filePath, size, parts, statePath, function(err, uploadId) {
+        if (err) {
+            return callback(err);
+        }
+
+        _.each(parts, function(part) {
+            if (part.ETag) {
+                progress.update(part.length);
+            }
+        });
+
+        var remainingParts = _.reject(parts, function(part) {
+            return part.ETag;
+        });
+        _eachLimit(remainingParts, settings.concurrency, function(part, callback) {
+            _retry(settings.retries, util.format('upload of part %s of "%s"', part.PartNumber, filePath), function(callback) {
+                var body = fs.createReadStream(filePath, {'start': part.start, 'end': part.start + part.length - 1});
+                var uploaded = _trackProgress(body, progress);
+                s3.UploadPart({
+                    'BucketName': settings.bucket,
+                    'ObjectName': objectPath,
+                    'UploadId': uploadId,
+                    'PartNumber': part.PartNumber,
+                    'ContentLength': part.length,
+                    'Body': body
+                }, function(err, data) {
+                    if (err) {
+                        progress.update(-uploaded());
+                        return callback(_error(util.format('Failed to upload part %s of the file "%s"', part.PartNumber, filePath), JSON.stringify(err)));
+                    }
+
+                    part.ETag = data.Headers.etag;
+                    return callback();
+                });
+            }, callback);
+        }, function(err) {
+            if (err) {
+                CoreUtil.logWarn(util.format('The uploaded parts of "%s" are kept, run the upload again to resume it', filePath));
+                return callback(err);
+            }
+
+            var completedParts = _.map(parts, function(part) {
+                return _.pick(part, 'PartNumber', 'ETag');
+            });
+            _retry(settings.retries, util.format('completion of the upload of "%s"', filePath), function(callback) {
+                s3.CompleteMultipartUpload({'BucketName': settings.bucket, 'ObjectName': objectPath, 'UploadId': uploadId, 'Parts': completedParts}, function(err) {
+                    if (err) {
+                        return callback(_error(util.format('Failed to complete the upload of the file "%s"', filePath), JSON.stringify(err)));
+                    }
+
+                    return callback();
+                });
+            }, function(err) {
+                if (err) {
+                    return callback(err);
+                }
+
+                fs.unlink(statePath, function() {
+                    return callback();
+                });
+            });
+        });
+    });
+};
+
+/*!
+ * Start a multipart upload of a file. When a previous upload of the same file to the same object did not complete, it
+ * is resumed instead and the parts that were uploaded and match the file get their ETag
+ *
+ * @param  {S3}             s3                  The S3 client
+ * @param  {Object}         settings            The settings of the storage backend
+ * @param  {String}         objectPath          The path of the object
+ * @param  {String}         filePath            The path of the file to upload
+ * @param  {Number}         size                The size of the file
+ * @param  {Object[]}       parts               The parts of the file
+ * @param  {String}         statePath           The path of the file that holds the state of the upload
+ * @param  {Function}       callback            Invoked when the upload has been started or resumed
+ * @param  {ReleaseError}   callback.err        An error that occurred, if any
+ * @param  {String}         callback.uploadId   The id of the multipart upload
+ */
+var _startMultipart = function(s3, settings, objectPath, filePath, size, parts, statePath, callback) {
+    var state = null;
+    try {
+        state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    } catch (ex) {}
+
+    var canResume = (state && state.bucket === settings.bucket && state.objectPath === objectPath && state.size === size && state.partSize === settings.partSize);
+    if (canResume) {
+        return s3.ListParts({'BucketName': settings.bucket, 'ObjectName': objectPath, 'UploadId': state.uploadId}, function(err, data) {
+            if (err) {
+                // The upload was most likely aborted or expired, so start over
+                CoreUtil.logWarn(util.format('Could not resume the previous upload of "%s", starting a new one', filePath));
+                fs.unlink(statePath, function() {
+                    return _startMultipart(s3, settings, objectPath, filePath, size, parts, statePath, callback);
+                });
+                return;
+            }
+
+            // Only keep the uploaded parts that are the same as the parts of the file
+            var uploadedParts = _.compact([].concat(data.Body.ListPartsResult.Part));
+            _.each(uploadedParts, function(uploadedPart) {
+                var part = parts[parseInt(uploadedPart.PartNumber, 10) - 1];
+                if (part && parseInt(uploadedPart.Size, 10) === part.length && uploadedPart.ETag === util.format('"%s"', _md5(filePath, part.start, part.length))) {
+                    part.ETag = uploadedPart.ETag;
+                }
+            });
+
+            CoreUtil.logInfo(util.format('Resuming the upload of "%s" with %s of %s part(s) uploaded', filePath, _.filter(parts, function(part) { return part.ETag; }).length, parts.length));
+            return callback(null, state.uploadId);
+        });
+    }
+
+    // Abort the previous upload of this file as it cannot be resumed, so its parts are not stored forever
+    if (state && state.bucket === settings.bucket) {
+        s3.AbortMultipartUpload({'BucketName': state.bucket, 'ObjectName': state.objectPath, 'UploadId': state.uploadId}, function() {});
+    }
+
+    _retry(settings.retries, util.format('start of the upload of "%s"', filePath), function(callback) {
+        s3.InitiateMultipartUpload({'BucketName': settings.bucket, 'ObjectName': objectPath}, function(err, data) {
+            if (err) {
+                return callback(_error(util.format('Failed to start the upload of the file "%s"', filePath), JSON.stringify(err)));
+            }
+
+            return callback(null, data.Body.InitiateMultipartUploadResult.UploadId);
+        });
+    }, function(err, uploadId) {
+        if (err) {
+            return callback(err);
+        }
+
+        state = {'bucket': settings.bucket, 'objectPath': objectPath, 'size': size, 'partSize': settings.partSize, 'uploadId': uploadId};
+        fs.writeFile(statePath, JSON.stringify(state, null, 4) + '\n', function(err) {
+            if (err) {
+                CoreUtil.logWarn(util.format('Could not save the state of the upload of "%s", it will not be possible to resume it', filePath));
+            }
+
+            return callback(null, uploadId);
+        });
+    });
+};
+
+/*!
+ * Ensure an uploaded object has the same size as the file, and the ETag S3 computes for it from the content of the file
+ *
+ * @param  {S3}             s3              The S3 client
+ * @param  {Object}         settings        The settings of the storage backend
+ * @param  {String}         objectPath      The path of the object
+ * @param  {String}         filePath        The path of the file that was uploaded
+ * @param  {Number}         size            The size of the file
+ * @param  {Function}       callback        Invoked when the object has been verified
+ * @param  {ReleaseError}   callback.err    An error that occurred, if any
+ */
+var _verifyUpload = function(s3, settings, objectPath, filePath, size, callback) {
+    _getMetadata(s3, settings, objectPath, function(err, metadata) {
+        if (err) {
+            return callback(err);
+        } else if (!metadata) {
+            return callback(_error(util.format('The uploaded object %s does not exist', objectPath)));
+        }
+
+        var remoteSize = parseInt(metadata['content-length'], 10);
+        if (remoteSize !== size) {
+            return callback(_error(util.format('The uploaded object %s has %s bytes but the file "%s" has %s bytes', objectPath, remoteSize, filePath, size)));
+        }
+
+        // The ETag of an object is the md5 of its content, and the ETag of an object uploaded in N parts is the md5 of
+        // the md5s of its parts followed by "-N". Objects encrypted with a KMS key have an ETag we cannot compute
+        var remoteETag = String(metadata.etag).replace(/"/g, '');
+        var etagMatch = remoteETag.match(/^[0-9a-f]{32}(?:-(\d+))?$/);
+        if (!etagMatch) {
+            CoreUtil.logWarn(util.format('Could not verify the content of %s as its ETag is not an md5 digest', objectPath));
+            return callback();
+        }
+
+        var partCount = etagMatch[1] ? parseInt(etagMatch[1], 10) : 0;
+        var etag = null;
+        if (partCount) {
+            var partSize = settings.partSize;
+            if (Math.ceil(size / partSize) !== partCount) {
+                CoreUtil.logWarn(util.format('Could not verify the content of %s as it was uploaded with a different part size', objectPath));
+                return callback();
+            }
+
+            var partDigests = _.map(_.range(partCount), function(index) {
+                return _md5(filePath, index * partSize, Math.min(partSize, size - index * partSize));
+            });
+            etag = util.format('%s-%s', crypto.createHash('md5').update(partDigests.join(''), 'hex').digest('hex'), partCount);
+        } else {
+            etag = _md5(filePath, 0, size);
+        }
+
+        if (etag !== remoteETag) {
+            return callback(_error(util.format('The ETag of the uploaded object %s is %s but the file "%s" has ETag %s', objectPath, remoteETag, filePath, etag)));
+        }
+
+        CoreUtil.logSuccess(util.format('Verified the size and ETag %s of ', etag).text + objectPath.white);
+        return callback();
+    });
+};
+
+/*!
+ * Compute the md5 digest of a range of a file
+ *
+ * @param  {String}     filePath    The path of the file
+ * @param  {Number}     start       The offset of the first byte of the range
+ * @param  {Number}     length      The number of bytes of the range
+ * @return {String}                 The hex-encoded md5 digest of the range
+ */
+var _md5 = function(filePath, start, length) {
+    return CoreUtil.hashFile(filePath, 'md5', null, {'start': start, 'length': length});
+};
+
+/*!
+ * Report the data read from a stream to a progress bar
+ *
+ * @param  {Stream}     stream      The stream whose data is uploaded
+ * @param  {Object}     progress    The progress bar of the upload
+ * @return {Function}               A function that returns how many bytes were read so far, so they can be removed from the progress bar if the upload fails
+ */
+var _trackProgress = function(stream, progress) {
+    var bytesRead = 0;
+    stream.on('data', function(chunk) {
+        bytesRead += chunk.length;
+        progress.update(chunk.length);
+    });
+
+    return function() {
+        return bytesRead;
+    };
+};
+
+/*!
+ * Invoke an asynchronous function until it succeeds, waiting exponentially longer between attempts
+ *
+ * @param  {Number}     retries         The number of times to retry the function after it failed
+ * @param  {String}     description     A description of what the function does, for the log
+ * @param  {Function}   fn              The function to invoke. It is given a callback that should be invoked with an error, if any, and a result
+ * @param  {Function}   callback        Invoked with the error and result of the last attempt
+ */
+var _retry = function(retries, description, fn, callback) {
+    var attempt = 0;
+    var tryOnce = function() {
+        fn(function(err) {
+            if (err && attempt < retries) {
+                var delay = Math.min(1000 * Math.pow(2, attempt), MAX_RETRY_DELAY);
+                attempt++;
+                CoreUtil.logWarn(util.format('The %s failed, retrying in %ss (%s of %s): %s', description, delay / 1000, attempt, retries, err.message));
+                return setTimeout(tryOnce, delay);
+            }
+
+            return callback.apply(null, arguments);
+        });
+    };
+
+    tryOnce();
+};
+
+/*!
+ * Invoke an asynchronous function for each item of an array, with at most a given number of invocations at a time
+ *
+ * @param  {Array}      items       The items for which to invoke the function
+ * @param  {Number}     limit       The maximum number of concurrent invocations
+ * @param  {Function}   iterator    The function to invoke with an item and a callback that should be invoked with an error, if any
+ * @param  {Function}   callback    Invoked when the function is done for all items, or with the first error that occurred
+ */
+var _eachLimit = function(items, limit, iterator, callback) {
+    var next = 0;
+    var running = 0;
+    var failed = false;
+
+    var launch = function() {
+        if (failed) {
+            return;
+        } else if (next === items.length && running === 0) {
+            return callback();
+        }
+
+        while (running < limit && next < items.length) {
+            running++;
+            iterator(items[next++], function(err) {
+                running--;
+                if (failed) {
+                    return;
+                } else if (err) {
+                    failed = true;
+                    return callback(err);
+                }
+
+                return launch();
+            });
+        }
+    };
+
+    launch();
+};
+
+/*!
+ * Create an error for a failure that occurred while accessing the bucket
+ *
+ * @param  {String}         message     The message that describes the error
+ * @param  {String}         [output]    The response of S3 that describes the error
+ * @return {ReleaseError}               The error
+ */
+var _error = function(message, output) {
+    return new ReleaseError(message, 1, {'step': 'upload', 'output': output});
+};
@@ -0,0 +1,187 @@
+/*!
+ * Copyright 2014 Apereo Foundation (AF) Licensed under the
+ * Educational Community License, Version 2.0 (the "License"); you may
+ * not use this file except in compliance with the License. You may
+ * obtain a copy of the License at
+ *
+ *     http://opensource.org/licenses/ECL-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an "AS IS"
+ * BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express
+ * or implied. See the License for the specific language governing
+ * permissions and limitations under the License.
+ */
+
+var _ = require('underscore');
+var path = require('path');
+var shell = require('shelljs');
+var util = require('util');
+
+var CoreUtil = require('../../util');
+var ReleaseError = require('../../error');
+
+// The ways in which files can be transferred to the remote host
+var TRANSFERS = ['rsync', 'sftp'];
+
+/**
+ * Ensure a storage backend can be created for a directory on a remote host with the given options.
+ *
+ * @param  {Object}     opts                The options of the storage backend. See `create`
+ * @param  {Number}     [errCode]           The process error code to return on failure. Default: 1
+ */
+var validate = module.exports.validate = function(opts, errCode) {
+    errCode = errCode || 1;
+
+    var transfer = opts.transfer || 'rsync';
+    if (!opts.host) {
+        return CoreUtil.fail('The remote host in which to store the release artifacts must be specified', errCode);
+    } else if (!opts.directory) {
+        return CoreUtil.fail('The remote directory in which to store the release artifacts must be specified', errCode);
+    } else if (!_.contains(TRANSFERS, transfer)) {
+        return CoreUtil.fail(util.format('Unknown transfer "%s". The supported transfers are: %s', transfer, TRANSFERS.join(', ')), errCode);
+    } else if (!shell.which('ssh') || !shell.which(transfer)) {
+        return CoreUtil.fail(util.format('The "ssh" and "%s" commands are needed to store the release artifacts on a remote host', transfer), errCode);
+    }
+};
+
+/**
+ * Create a storage backend that stores objects as files in a directory of a remote host, which is accessed over ssh.
+ * Authentication is non-interactive, so the ssh agent or an identity file should hold the key of the remote user.
+ * Files are transferred under a temporary name and renamed once complete, so readers never see a partial file.
+ *
+ * @param  {Object}     opts                    The options of the storage backend
+ * @param  {String}     opts.host               The remote host, optionally with the remote user (e.g., "releases@files.example.com")
+ * @param  {String}     opts.directory          The directory of the remote host in which to store the objects
+ * @param  {Number}     [opts.port]             The ssh port of the remote host. Default: the ssh default
+ * @param  {String}     [opts.identityFile]     The path to the private key with which to authenticate. Default: the ssh default
+ * @param  {String}     [opts.transfer]         How to transfer files, either "rsync" or "sftp". Default: "rsync"
+ * @return {Object}                             The storage backend. See `UploadUtil.createStorage`
+ */
+var create = module.exports.create = function(opts) {
+    var transfer = opts.transfer || 'rsync';
+
+    // Never prompt for passwords or host keys, as nobody may be around to answer
+    var sshOptions = ['-o BatchMode=yes'];
+    if (opts.identityFile) {
+        sshOptions.push(util.format('-i %s', CoreUtil.quoteShellArg(opts.identityFile)));
+    }
+
+    var ssh = util.format('ssh %s', sshOptions.join(' '));
+    if (opts.port) {
+        ssh += util.format(' -p %s', CoreUtil.quoteShellArg(String(opts.port)));
+    }
+
+    var sftp = util.format('sftp %s', sshOptions.join(' '));
+    if (opts.port) {
+        sftp += util.format(' -P %s', CoreUtil.quoteShellArg(String(opts.port)));
+    }
+
+    /*!
+     * Run a command on the remote host
+     */
+    var remote = function(cmd, callback) {
+        shell.exec(util.format('%s %s %s', ssh, CoreUtil.quoteShellArg(opts.host), CoreUtil.quoteShellArg(cmd)), {'silent': true}, callback);
+    };
+
+    return {
+        'url': function(objectPath) {
+            return util.format('%s:%s', opts.host, path.join(opts.directory, objectPath));
+        },
+        'exists': function(objectPath, callback) {
+            var remotePath = path.join(opts.directory, objectPath);
+            remote(util.format('test -e %s', CoreUtil.quoteShellArg(remotePath)), function(code, output) {
+                // Test exits with 1 when the file does not exist, while ssh exits with 255 when it fails
+                if (code === 1) {
+                    return callback(null, false);
+                } else if (code !== 0) {
+                    return callback(_error(util.format('An unknown error occurred while checking if "%s" exists on %s', remotePath, opts.host), output));
+                }
+
+                return callback(null, true);
+            });
+        },
+        'put': function(objectPath, filePath, callback) {
+            var remotePath = path.join(opts.directory, objectPath);
+            var partPath = remotePath + '.part';
+            remote(util.format('mkdir -p %s', CoreUtil.quoteShellArg(path.dirname(remotePath))), function(code, output) {
+                if (code !== 0) {
+                    return callback(_error(util.format('Failed to create the directory of "%s" on %s', remotePath, opts.host), output));
+                }
+
+                var cmd = null;
+                if (transfer === 'rsync') {
+                    cmd = util.format('rsync -e %s %s %s', CoreUtil.quoteShellArg(ssh), CoreUtil.quoteShellArg(filePath), CoreUtil.quoteShellArg(util.format('%s:%s', opts.host, partPath)));
+                } else {
+                    var batch = util.format('put %s %s\nrename %s %s', _quoteSftp(filePath), _quoteSftp(partPath), _quoteSftp(partPath), _quoteSftp(remotePath));
+                    cmd = util.format('printf \'%%s\' %s | %s -b - %s', CoreUtil.quoteShellArg(batch + '\n'), sftp, CoreUtil.quoteShellArg(opts.host));
+                }
+
+                shell.exec(cmd, {'silent': true}, function(code, output) {
+                    if (code !== 0) {
+                        return callback(_error(util.format('Failed to transfer the file "%s" to %s', filePath, opts.host), output));
+                    } else if (transfer === 'sftp') {
+                        return callback();
+                    }
+
+                    remote(util.format('mv %s %s', CoreUtil.quoteShellArg(partPath), CoreUtil.quoteShellArg(remotePath)), function(code, output) {
+                        if (code !== 0) {
+                            return callback(_error(util.format('Failed to move "%s" into place on %s', remotePath, opts.host), output));
+                        }
+
+                        return callback();
+                    });
+                });
+            });
+        },
+        'get': function(objectPath, filePath, callback) {
+            var remotePath = path.join(opts.directory, objectPath);
+            var cmd = null;
+            if (transfer === 'rsync') {
+                cmd = util.format('rsync -e %s %s %s', CoreUtil.quoteShellArg(ssh), CoreUtil.quoteShellArg(util.format('%s:%s', opts.host, remotePath)), CoreUtil.quoteShellArg(filePath));
+            } else {
+                var batch = util.format('get %s %s', _quoteSftp(remotePath), _quoteSftp(filePath));
+                cmd = util.format('printf \'%%s\' %s | %s -b - %s', CoreUtil.quoteShellArg(batch + '\n'), sftp, CoreUtil.quoteShellArg(opts.host));
+            }
+
+            shell.exec(cmd, {'silent': true}, function(code, output) {
+                if (code !== 0) {
+                    return callback(_error(util.format('Failed to transfer "%s" from %s', remotePath, opts.host), output));
+                }
+
+                return callback();
+            });
+        },
+        'remove': function(objectPath, callback) {
+            var remotePath = path.join(opts.directory, objectPath);
+            remote(util.format('rm -f %s', CoreUtil.quoteShellArg(remotePath)), function(code, output) {
+                if (code !== 0) {
+                    return callback(_error(util.format('Failed to delete "%s" on %s', remotePath, opts.host), output));
+                }
+
+                return callback();
+            });
+        }
+    };
+};
+
+/*!
+ * Quote a string as a single argument of an sftp batch command
+ *
+ * @param  {String}     str     The string to quote
+ * @return {String}             The quoted string
+ */
+var _quoteSftp = function(str) {
+    return util.format('"%s"', String(str).replace(/(["\\])/g, '\\$1'));
+};
+
+/*!
+ * Create an error for a failure that occurred while accessing the remote host
+ *
+ * @param  {String}         message     The message that describes the error
+ * @param  {String}         [output]    The output of the command that failed
+ * @return {ReleaseError}               The error
+ */
+var _error = function(message, output) {
+    return new ReleaseError(message, 1, {'step': 'upload', 'output': output});
+};
@@ -16,12 +16,30 @@
 var _ = require('underscore');
 var colors = require('colors');
 var fs = require('fs');
-var amazons3 = require('awssum-amazon-s3');
+var os = require('os');
 var path = require('path');
+var semver = require('semver');
 var shell = require('shelljs');
 var util = require('util');
 
 var CoreUtil = require('../util');
+var PackageUtil = require('../package/util');
+var ReleaseError = require('../error');
+
+// The backends in which release artifacts can be stored. Each backend module exports a `validate(opts, errCode)`
+// function that ensures the backend can be created with the given options, and a `create(opts)` function that creates it
+var STORAGE_TYPES = module.exports.STORAGE_TYPES = {
+    'local': require('./storage/local'),
+    's3': require('./storage/s3'),
+    'ssh': require('./storage/ssh')
+};
+
+// The default template of the directory in which release artifacts are published. Releases have no channel, so they are
+// published in e.g. `oae/4.2/` while a release candidate of the same version line is published in `oae/4.2/rc/`
+var PATH_TEMPLATE = module.exports.PATH_TEMPLATE = '{base}/{major}.{minor}/{channel}';
+
+// The placeholders that can be used in a path template
+var PATH_TEMPLATE_PLACEHOLDERS = ['base', 'version', 'major', 'minor', 'patch', 'prerelease', 'channel'];
 
 /**
  * Verify the release state for uploading the release the Amazon S3
@@ -32,20 +50,64 @@ var CoreUtil = require('../util');
  */
 var validateUpload = module.exports.validateUpload = function(packagePath, checksumPath, errCode) {
     errCode = errCode || 1;
+    validatePublish([packagePath, checksumPath], errCode);
 
-    if (!shell.test('-f', packagePath)) {
-        CoreUtil.logFail(util.format('The package file "%s" does not exist', packagePath));
-        return process.exit(errCode || 1);
-    } else if (!shell.test('-f', checksumPath)) {
-        CoreUtil.logFail(util.format('The checksum file "%s" does not exist', checksumPath));
-        return process.exit(errCode);
-    } else if (!process.env.AWS_ACCESS_KEY_ID) {
-        CoreUtil.logFail('Environment variable "AWS_ACCESS_KEY_ID" must be set');
-        return process.exit(errCode);
+    CoreUtil.beginStep('validateUpload');
+    if (!process.env.AWS_ACCESS_KEY_ID) {
+        return CoreUtil.fail('Environment variable "AWS_ACCESS_KEY_ID" must be set', errCode);
     } else if (!process.env.AWS_SECRET_ACCESS_KEY) {
-        CoreUtil.logFail('Environment variable "AWS_SECRET_ACCESS_KEY" must be set');
-        return process.exit(errCode);
+        return CoreUtil.fail('Environment variable "AWS_SECRET_ACCESS_KEY" must be set', errCode);
+    }
+};
+
+/**
+ * Verify the release state for publishing release artifacts to a storage backend
+ *
+ * @param  {String[]}   artifactPaths   The paths to the release artifacts to publish
+ * @param  {Number}     [errCode]       The error code to report if the validation fails. Default: 1
+ */
+var validatePublish = module.exports.validatePublish = function(artifactPaths, errCode) {
+    errCode = errCode || 1;
+    CoreUtil.beginStep('validatePublish');
+
+    if (_.isEmpty(artifactPaths)) {
+        return CoreUtil.fail('At least one release artifact must be published', errCode);
+    }
+
+    _.each(artifactPaths, function(artifactPath) {
+        if (!shell.test('-f', artifactPath)) {
+            return CoreUtil.fail(util.format('The release artifact "%s" does not exist', artifactPath), errCode);
+        }
+    });
+};
+
+/**
+ * Create a storage backend in which release artifacts can be published. A storage backend is an object with the
+ * following functions, where object paths are relative to the root of the storage:
+ *
+ *  * `url(objectPath)`: Get a url of an object that can be shown to the user (e.g., s3://bucket/oae/4.2/Hilary-4.2.0.tar.gz)
+ *  * `exists(objectPath, callback)`: Determine whether or not an object exists. The callback is invoked with an error, if any, and a boolean
+ *  * `put(objectPath, filePath, callback)`: Store a local file as an object, replacing the object if it exists. The callback is invoked with an error, if any
+ *  * `get(objectPath, filePath, callback)`: Download an object to a local file. The callback is invoked with an error, if any
+ *  * `remove(objectPath, callback)`: Delete an object. Deleting an object that does not exist is not an error. The callback is invoked with an error, if any
+ *
+ * @param  {String}     type        The type of storage backend. One of the keys of `STORAGE_TYPES`: "s3", "local" or "ssh"
+ * @param  {Object}     opts        The options of the storage backend. See the `create` function of the storage backend modules in lib/upload/storage
+ * @param  {Number}     [errCode]   The error code to report if the storage backend cannot be created. Default: 1
+ * @return {Object}                 The storage backend
+ */
+var createStorage = module.exports.createStorage = function(type, opts, errCode) {
+    errCode = errCode || 1;
+    opts = opts || {};
+    CoreUtil.beginStep('createStorage');
+
+    var storageType = STORAGE_TYPES[type];
+    if (!storageType) {
+        return CoreUtil.fail(util.format('Unknown storage "%s". The supported storages are: %s', type, _.keys(STORAGE_TYPES).join(', ')), errCode);
     }
+
+    storageType.validate(opts, errCode);
+    return storageType.create(opts);
 };
 
 /**
@@ -56,91 +118,691 @@ var validateUpload = module.exports.validateUpload = function(packagePath, check
  * @param  {String}     baseDirectory   The base directory in which to upload the packages (e.g., "oae", "etherpad", etc...)
  * @param  {String}     packagePath     The local file-system path where the package file is located
  * @param  {String}     checksumPath    The local file-system path where the checksum file is located
- * @param  {Function}   callback        Invoked when the process completes
- * @param  {Error}      callback.err    An error that occurred, if any
+ * @param  {Function}       callback        Invoked when the process completes
+ * @param  {ReleaseError}   callback.err    An error that occurred, if any
  */
 var upload = module.exports.upload = function(bucketName, regionId, baseDirectory, packagePath, checksumPath, callback) {
-    var describe = CoreUtil.gitDescribe();
+    var storage = null;
+    try {
+        storage = createStorage('s3', {'bucket': bucketName, 'region': regionId});
+    } catch (err) {
+        return callback(err);
+    }
+
+    return publish(storage, baseDirectory, [packagePath, checksumPath], callback);
+};
+
+/**
+ * Resolve the directory of the storage in which the artifacts of a tag are published. The tag is parsed as a semantic
+ * version, optionally prefixed with a "v" (e.g., "4.2.0", "v4.2.0" or "13.0.0-rc.1"), and the directory is built by
+ * filling in the placeholders of the path template:
+ *
+ *  * `{base}`: The base directory (e.g., "oae")
+ *  * `{version}`: The full version, without the "v" prefix (e.g., "13.0.0-rc.1")
+ *  * `{major}`, `{minor}` and `{patch}`: The numeric parts of the version (e.g., "13", "0" and "0")
+ *  * `{prerelease}`: The prerelease part of the version (e.g., "rc.1"). Empty for a release
+ *  * `{channel}`: The channel of a prerelease, which is its first non-numeric identifier (e.g., "rc" for "13.0.0-rc.1" and "nightly" for "13.0.0-nightly.20141010"), or "prerelease" if it has none. Empty for a release
+ *
+ * Empty path segments are dropped, so with the default template `{base}/{major}.{minor}/{channel}` a release is
+ * published next to the other releases of its version line while prereleases are kept apart in their channel.
+ *
+ * @param  {String}     baseDirectory       The base directory in which to publish the release (e.g., "oae", "etherpad", etc...)
+ * @param  {String}     tag                 The tag of the release
+ * @param  {String}     [template]          The path template. Default: `PATH_TEMPLATE`
+ * @return {Object}                         An object with the fields `directory` (the resolved directory), `version` (the version of the tag, without the "v" prefix) and `channel` (the channel of a prerelease, `null` for a release)
+ * @throws {ReleaseError}                   Thrown if the tag is not a semantic version or the template contains an unknown placeholder
+ */
+var resolvePublishPath = module.exports.resolvePublishPath = function(baseDirectory, tag, template) {
+    template = template || PATH_TEMPLATE;
+
+    // Parse loosely to accept the "v" prefix that is common in tag names
+    var version = semver.parse(tag, true);
+    if (!version) {
+        throw _error(util.format('The most recent tag must be a semantic version (e.g., 4.2.0, v4.2.0 or 13.0.0-rc.1). However, it was: %s', tag));
+    }
+
+    var channel = null;
+    if (!_.isEmpty(version.prerelease)) {
+        channel = _.find(version.prerelease, function(identifier) {
+            return _.isString(identifier);
+        }) || 'prerelease';
+    }
+
+    var values = {
+        'base': baseDirectory,
+        'version': version.version,
+        'major': version.major,
+        'minor': version.minor,
+        'patch': version.patch,
+        'prerelease': version.prerelease.join('.'),
+        'channel': channel || ''
+    };
+
+    var unknownPlaceholder = null;
+    var directory = template.replace(/\{([^}]*)\}/g, function(placeholder, name) {
+        if (!_.contains(PATH_TEMPLATE_PLACEHOLDERS, name)) {
+            unknownPlaceholder = unknownPlaceholder || placeholder;
+            return placeholder;
+        }
+
+        return values[name];
+    });
+    if (unknownPlaceholder) {
+        throw _error(util.format('The path template "%s" contains the unknown placeholder %s. Known placeholders are: {%s}', template, unknownPlaceholder, PATH_TEMPLATE_PLACEHOLDERS.join('}, {')));
+    }
+
+    return {
+        'directory': _.compact(directory.split('/')).join('/'),
+        'version': version.version,
+        'channel': channel
+    };
+};
+
+/**
+ * Publish release artifacts to a storage backend. The artifacts are stored in the directory of the storage that is
+ * resolved from the most recent tag (see `resolvePublishPath`). None of the artifacts are stored if any of them already
+ * exists, as a published release should never change. The artifacts can be allowed to replace the existing objects
+ * with `opts.forceOverwrite`, in which case each replaced object is recorded in the audit log (see `appendAuditLog`).
+ *
+ * Once stored, the artifacts are downloaded again and verified (see `verifyPublished`), and the release is added to
+ * the index of the base directory (see `updateIndex`).
+ *
+ * @param  {Object}     storage             The storage backend in which to store the artifacts, as created by `createStorage`
+ * @param  {String}     baseDirectory       The base directory in which to upload the packages (e.g., "oae", "etherpad", etc...)
+ * @param  {String[]}   artifactPaths       The local file-system paths where the artifacts are located
+ * @param  {Object}     [opts]              Optional arguments
+ * @param  {Boolean}    [opts.verify]       Whether or not to download and verify the artifacts once they are stored. Default: `true`
+ * @param  {Boolean}    [opts.index]        Whether or not to add the release to the index of the base directory. Default: `true`
+ * @param  {String}     [opts.pathTemplate] The template of the directory in which to store the artifacts. Default: `PATH_TEMPLATE`
+ * @param  {Boolean}    [opts.forceOverwrite]   Whether or not the artifacts may overwrite existing objects. Default: `false`
+ * @param  {Function}       callback                Invoked when the process completes
+ * @param  {ReleaseError}   callback.err            An error that occurred, if any
+ * @param  {String[]}       callback.objectPaths    The paths of the stored artifacts, relative to the root of the storage
+ */
+var publish = module.exports.publish = function(storage, baseDirectory, artifactPaths, opts, callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
+    }
+
+    var describe = null;
+    try {
+        describe = CoreUtil.gitDescribe();
+    } catch (err) {
+        return callback(err);
+    }
+
+    CoreUtil.beginStep('upload');
     if (!_.isString(describe.tag)) {
-        return callback(new Error(util.format('Git describe did not return a "tag": %s', JSON.stringify(describe))));
-    } else if (describe.tag.split('.').length !== 3) {
-        return callback(new Error(util.format('Most recent tag must contain exactly 2 dots. e.g., <number>.<number>.<number>. However, it was: %s')), describe.tag);
+        return callback(_error(util.format('Git describe did not return a "tag": %s', JSON.stringify(describe))));
     }
 
-    // When the tag version is something like 4.2.5, we chop off the patch version for the directory to be: 4.2
-    var baseName = path.join(baseDirectory, describe.tag.split('.').slice(0, 2).join('.'));
-    var packageUploadPath = path.join(baseName, _filename(packagePath));
-    var checksumUploadPath = path.join(baseName, _filename(checksumPath));
+    var publishPath = null;
+    try {
+        publishPath = resolvePublishPath(baseDirectory, describe.tag, opts.pathTemplate);
+    } catch (err) {
+        return callback(err);
+    }
+
+    // Builds of commits after the tag are listed in the index under their full git version
+    var version = publishPath.version;
+    if (describe.commits) {
+        version = util.format('%s-%s-%s', version, describe.commits, describe.hash);
+    }
 
-    // The s3 object which can be used to upload to S3
-    var s3 = new amazons3.S3({
-        'accessKeyId': process.env.AWS_ACCESS_KEY_ID,
-        'secretAccessKey': process.env.AWS_SECRET_ACCESS_KEY,
-        'region': regionId
+    var objectPaths = _.map(artifactPaths, function(artifactPath) {
+        return path.join(publishPath.directory, _filename(artifactPath));
     });
 
-    // Ensure the package file does not exist in the repository
-    _validateNotExists(s3, bucketName, packageUploadPath, function(err, exists) {
+    _store(storage, baseDirectory, version, objectPaths, artifactPaths, !!opts.forceOverwrite, function(err) {
         if (err) {
             return callback(err);
         }
 
-        // Ensure the checksum file does not already exist in the repository
-        _validateNotExists(s3, bucketName, checksumUploadPath, function(err, exists) {
+        var verify = verifyPublished;
+        if (opts.verify === false) {
+            verify = function(storage, objectPaths, artifactPaths, callback) {
+                return callback();
+            };
+        }
+
+        verify(storage, objectPaths, artifactPaths, function(err) {
             if (err) {
                 return callback(err);
+            } else if (opts.index === false) {
+                return callback(null, objectPaths);
             }
 
-            // First upload the package file to s3
-            _upload(s3, bucketName, packageUploadPath, packagePath, function(err) {
+            updateIndex(storage, baseDirectory, version, objectPaths, artifactPaths, {'channel': publishPath.channel}, function(err) {
                 if (err) {
                     return callback(err);
                 }
 
-                // Then upload the checksum file
-                _upload(s3, bucketName, checksumUploadPath, checksumPath, function(err) {
-                    if (err) {
-                        return callback(err);
-                    }
+                return callback(null, objectPaths);
+            });
+        });
+    });
+};
+
+/**
+ * Verify that published release artifacts can be downloaded and are intact. Each artifact is downloaded and compared
+ * with the local file it was published from. The downloaded packages are also verified against the downloaded checksum
+ * files and SHA256SUMS manifest among the artifacts, including their signatures (see `PackageUtil.verifyPackage`).
+ *
+ * @param  {Object}     storage             The storage backend in which the artifacts are stored
+ * @param  {String[]}   objectPaths         The paths of the stored artifacts, relative to the root of the storage
+ * @param  {String[]}   artifactPaths       The local file-system paths of the artifacts that were published, in the same order
+ * @param  {Function}       callback        Invoked when the artifacts have been verified
+ * @param  {ReleaseError}   callback.err    An error that occurred, if any
+ */
+var verifyPublished = module.exports.verifyPublished = function(storage, objectPaths, artifactPaths, callback) {
+    CoreUtil.beginStep('verifyPublished');
+
+    var downloadDir = _createTempDir();
+    var downloadPaths = _.map(objectPaths, function(objectPath) {
+        return path.join(downloadDir, _filename(objectPath));
+    });
 
-                    return callback();
+    _getAll(storage, _.zip(objectPaths, downloadPaths), function(err) {
+        if (err) {
+            shell.rm('-rf', downloadDir);
+            return callback(err);
+        }
+
+        try {
+            _.each(downloadPaths, function(downloadPath, i) {
+                if (CoreUtil.hashFile(downloadPath, 'sha256') !== CoreUtil.hashFile(artifactPaths[i], 'sha256')) {
+                    throw _error(util.format('The downloaded object %s differs from the file "%s" it was published from', storage.url(objectPaths[i]), artifactPaths[i]));
+                }
+
+                var checksumPaths = _.filter([downloadPath + '.sha256.txt', downloadPath + '.sha512.txt', downloadPath + '.sha1.txt', path.join(downloadDir, 'SHA256SUMS')], function(checksumPath) {
+                    return _.contains(downloadPaths, checksumPath) && _listsArtifact(checksumPath, downloadPath);
+                });
+                _.each(checksumPaths, function(checksumPath) {
+                    PackageUtil.verifyPackage(downloadPath, checksumPath);
                 });
             });
+        } catch (err) {
+            shell.rm('-rf', downloadDir);
+            return callback(err);
+        }
+
+        shell.rm('-rf', downloadDir);
+        CoreUtil.logSuccess(util.format('Downloaded and verified %s published artifact(s)', objectPaths.length));
+        return callback();
+    });
+};
+
+/**
+ * Add a release to the index of a base directory. The index is stored as `index.json` and `index.html` in the base
+ * directory. It lists every published version with its artifacts, their sizes and sha256 digests, and points to the
+ * latest version overall (`latest`) and of each release line (e.g., `latest-4.2`). Only versions without a prerelease
+ * can be the latest. Prereleases are listed with their channel, and the latest prerelease of each channel is pointed to
+ * separately (e.g., `latest-rc`).
+ *
+ * ```json
+ * {
+ *     "latest": "4.2.1",
+ *     "latest-4.1": "4.1.3",
+ *     "latest-4.2": "4.2.1",
+ *     "latest-rc": "4.3.0-rc.1",
+ *     "versions": {
+ *         "4.3.0-rc.1": {
+ *             "published": "2014-05-09T10:03:12.000Z",
+ *             "channel": "rc",
+ *             "artifacts": [
+ *                 {"name": "Hilary-4.3.0-rc.1.tar.gz", "path": "4.3/rc/Hilary-4.3.0-rc.1.tar.gz", "size": 201457664, "sha256": "..."}
+ *             ]
+ *         },
+ *         "4.2.1": {
+ *             "published": "2014-05-02T14:12:44.000Z",
+ *             "artifacts": [
+ *                 {"name": "Hilary-4.2.1.tar.gz", "path": "4.2/Hilary-4.2.1.tar.gz", "size": 201326592, "sha256": "..."}
+ *             ]
+ *         }
+ *     }
+ * }
+ * ```
+ *
+ * @param  {Object}     storage             The storage backend in which the artifacts are stored
+ * @param  {String}     baseDirectory       The base directory of the storage in which the releases are published
+ * @param  {String}     version             The version of the release
+ * @param  {String[]}   objectPaths         The paths of the stored artifacts of the release, relative to the root of the storage
+ * @param  {String[]}   artifactPaths       The local file-system paths of the artifacts, in the same order
+ * @param  {Object}     [opts]              Optional arguments
+ * @param  {String}     [opts.channel]      The channel of the release, if it is a prerelease (e.g., "rc")
+ * @param  {Function}       callback        Invoked when the index has been updated
+ * @param  {ReleaseError}   callback.err    An error that occurred, if any
+ * @param  {Object}         callback.index  The updated index
+ */
+var updateIndex = module.exports.updateIndex = function(storage, baseDirectory, version, objectPaths, artifactPaths, opts, callback) {
+    if (_.isFunction(opts)) {
+        callback = opts;
+        opts = {};
+    }
+
+    CoreUtil.beginStep('updateIndex');
+
+    var artifacts = [];
+    try {
+        artifacts = _.map(artifactPaths, function(artifactPath, i) {
+            return {
+                'name': _filename(artifactPath),
+                'path': path.relative(baseDirectory, objectPaths[i]),
+                'size': fs.statSync(artifactPath).size,
+                'sha256': CoreUtil.hashFile(artifactPath, 'sha256')
+            };
+        });
+    } catch (err) {
+        return callback(err);
+    }
+
+    getIndex(storage, baseDirectory, function(err, index) {
+        if (err) {
+            return callback(err);
+        }
+
+        // Artifacts of the version that were published separately (e.g., a Debian package) are kept
+        var previousArtifacts = index.versions[version] ? index.versions[version].artifacts : [];
+        index.versions[version] = {
+            'published': new Date().toISOString(),
+            'channel': opts.channel || undefined,
+            'artifacts': _.chain(previousArtifacts)
+                .reject(function(artifact) {
+                    return _.findWhere(artifacts, {'name': artifact.name});
+                })
+                .union(artifacts)
+                .sortBy('name')
+                .value()
+        };
+
+        saveIndex(storage, baseDirectory, index, function(err, index) {
+            if (err) {
+                return callback(err);
+            }
+
+            CoreUtil.logSuccess(util.format('Added version %s to the index at ', version).text + storage.url(path.join(baseDirectory, 'index.json')).white);
+            return callback(null, index);
         });
     });
 };
 
 /**
- * Ensure that the object does not exist in the S3 bucket
+ * Compare the versions of an index to sort them from newest to oldest. Versions that are not a semantic version are
+ * sorted after the others.
+ *
+ * @param  {String}     a       The first version to compare
+ * @param  {String}     b       The second version to compare
+ * @return {Number}             A negative number if `a` is newer than `b`, a positive number if it is older
  */
-var _validateNotExists = function(s3, bucketName, objectName, callback) {
-    s3.GetObjectMetadata({'BucketName': bucketName, 'ObjectName': objectName}, function(err, data) {
-        if (err && err.StatusCode !== 404) {
-            CoreUtil.logFail('An unknown error occurred while checking if an S3 object exists');
-            CoreUtil.logFail(JSON.stringify(err, null, 2));
+var compareVersions = module.exports.compareVersions = function(a, b) {
+    if (semver.valid(a) && semver.valid(b)) {
+        return semver.rcompare(a, b);
+    } else if (semver.valid(a) || semver.valid(b)) {
+        return semver.valid(a) ? -1 : 1;
+    }
+
+    return (a < b) ? -1 : 1;
+};
+
+/**
+ * Get the index of a base directory from the storage. See `updateIndex` for the format of the index.
+ *
+ * @param  {Object}     storage             The storage backend in which the releases are published
+ * @param  {String}     baseDirectory       The base directory of the storage in which the releases are published
+ * @param  {Function}       callback        Invoked when the index has been retrieved
+ * @param  {ReleaseError}   callback.err    An error that occurred, if any
+ * @param  {Object}         callback.index  The index. An index without versions if the base directory has none yet
+ */
+var getIndex = module.exports.getIndex = function(storage, baseDirectory, callback) {
+    var indexDir = _createTempDir();
+    _getIndex(storage, path.join(baseDirectory, 'index.json'), path.join(indexDir, 'index.json'), function(err, index) {
+        shell.rm('-rf', indexDir);
+        return callback(err, index);
+    });
+};
+
+/**
+ * Store the index of a base directory as its `index.json` and `index.html` files. The latest version pointers of the
+ * index are recomputed from its versions first.
+ *
+ * @param  {Object}     storage             The storage backend in which the releases are published
+ * @param  {String}     baseDirectory       The base directory of the storage in which the releases are published
+ * @param  {Object}     index               The index to store
+ * @param  {Function}       callback        Invoked when the index has been stored
+ * @param  {ReleaseError}   callback.err    An error that occurred, if any
+ * @param  {Object}         callback.index  The index as it was stored
+ */
+var saveIndex = module.exports.saveIndex = function(storage, baseDirectory, index, callback) {
+    index = _sortIndex(index);
+
+    var indexDir = _createTempDir();
+    var indexJsonPath = path.join(indexDir, 'index.json');
+    var indexHtmlPath = path.join(indexDir, 'index.html');
+    fs.writeFileSync(indexJsonPath, JSON.stringify(index, null, 4) + '\n');
+    fs.writeFileSync(indexHtmlPath, _renderIndexHtml(index, baseDirectory));
+    _putAll(storage, [[path.join(baseDirectory, 'index.json'), indexJsonPath], [path.join(baseDirectory, 'index.html'), indexHtmlPath]], function(err) {
+        shell.rm('-rf', indexDir);
+        if (err) {
             return callback(err);
-        } else if  (err && err.StatusCode === 404) {
-            // The object does not exist, so we're good
+        }
+
+        return callback(null, index);
+    });
+};
+
+/**
+ * Record a change to published objects in the audit log of a base directory. The audit log is stored as `audit.log` in
+ * the base directory and has one JSON object per line, to which the date of the change and the user and host that made
+ * it are added.
+ *
+ * @param  {Object}     storage             The storage backend in which the releases are published
+ * @param  {String}     baseDirectory       The base directory of the storage in which the releases are published
+ * @param  {Object}     entry               The change to record. It should at least have an `action` (e.g., "overwrite" or "prune") and the `objects` it affected
+ * @param  {Function}       callback        Invoked when the change has been recorded
+ * @param  {ReleaseError}   callback.err    An error that occurred, if any
+ */
+var appendAuditLog = module.exports.appendAuditLog = function(storage, baseDirectory, entry, callback) {
+    var objectPath = path.join(baseDirectory, 'audit.log');
+    var logDir = _createTempDir();
+    var logPath = path.join(logDir, 'audit.log');
+    var done = function(err) {
+        shell.rm('-rf', logDir);
+        return callback(err);
+    };
+
+    entry = _.extend({'date': new Date().toISOString()}, CoreUtil.getBuilder(), entry);
+
+    storage.exists(objectPath, function(err, exists) {
+        if (err) {
+            return done(err);
+        }
+
+        var get = exists ? storage.get : function(objectPath, filePath, callback) {
+            fs.writeFileSync(filePath, '');
             return callback();
+        };
+        get(objectPath, logPath, function(err) {
+            if (err) {
+                return done(err);
+            }
+
+            fs.appendFileSync(logPath, JSON.stringify(entry) + '\n');
+            storage.put(objectPath, logPath, done);
+        });
+    });
+};
+
+/**
+ * Store the artifacts of a release, after ensuring none of them exist in the storage unless they may be overwritten.
+ * Each overwritten object is recorded in the audit log
+ */
+var _store = function(storage, baseDirectory, version, objectPaths, artifactPaths, forceOverwrite, callback) {
+    _findExisting(storage, objectPaths, function(err, existingPaths) {
+        if (err) {
+            CoreUtil.logFail(err.message);
+            if (err.output) {
+                CoreUtil.logFail(err.output);
+            }
+
+            return callback(err);
+        } else if (!_.isEmpty(existingPaths) && !forceOverwrite) {
+            _.each(existingPaths, function(objectPath) {
+                CoreUtil.logFail(util.format('The object %s already exists and will not be overwritten. Delete the object from the storage first, or allow it to be overwritten', storage.url(objectPath).white));
+            });
+            return callback(_error(util.format('%s object(s) exist and will not be overwritten', existingPaths.length)));
+        }
+
+        _.each(existingPaths, function(objectPath) {
+            CoreUtil.logWarn(util.format('The object %s already exists and will be overwritten', storage.url(objectPath).white));
+        });
+
+        // Store the artifacts in the order they were given, so the checksums come after their package
+        _putAll(storage, _.zip(objectPaths, artifactPaths), function(err) {
+            if (err) {
+                return callback(err);
+            }
+
+            var entries = _.map(existingPaths, function(objectPath) {
+                return {
+                    'action': 'overwrite',
+                    'version': version,
+                    'objects': [objectPath],
+                    'sha256': CoreUtil.hashFile(artifactPaths[_.indexOf(objectPaths, objectPath)], 'sha256')
+                };
+            });
+            return _appendAuditLogEntries(storage, baseDirectory, entries, callback);
+        });
+    });
+};
+
+/**
+ * Find which of the objects exist in the storage, checking them one after the other
+ */
+var _findExisting = function(storage, objectPaths, callback) {
+    if (_.isEmpty(objectPaths)) {
+        return callback(null, []);
+    }
+
+    var objectPath = _.first(objectPaths);
+    storage.exists(objectPath, function(err, exists) {
+        if (err) {
+            return callback(err);
+        }
+
+        _findExisting(storage, _.rest(objectPaths), function(err, existingPaths) {
+            if (err) {
+                return callback(err);
+            }
+
+            return callback(null, exists ? [objectPath].concat(existingPaths) : existingPaths);
+        });
+    });
+};
+
+/**
+ * Record each entry in the audit log, one after the other
+ */
+var _appendAuditLogEntries = function(storage, baseDirectory, entries, callback) {
+    if (_.isEmpty(entries)) {
+        return callback();
+    }
+
+    appendAuditLog(storage, baseDirectory, _.first(entries), function(err) {
+        if (err) {
+            return callback(err);
+        }
+
+        return _appendAuditLogEntries(storage, baseDirectory, _.rest(entries), callback);
+    });
+};
+
+/**
+ * Store each file in the storage, one after the other
+ */
+var _putAll = function(storage, objectAndFilePaths, callback) {
+    if (_.isEmpty(objectAndFilePaths)) {
+        return callback();
+    }
+
+    var objectPath = _.first(objectAndFilePaths)[0];
+    var filePath = _.first(objectAndFilePaths)[1];
+    CoreUtil.logInfo(util.format('Uploading file %s to %s', filePath.white, storage.url(objectPath).white));
+    storage.put(objectPath, filePath, function(err) {
+        if (err) {
+            return callback(err);
         }
 
-        CoreUtil.logFail(util.format('The S3 object %s already exists and will not be overwritten. Delete the object from the S3 repository first', util.format('s3://%s', path.join(bucketName, objectName)).white));
-        return callback(new Error('The S3 object exists and will not be overwritten'));
+        return _putAll(storage, _.rest(objectAndFilePaths), callback);
     });
 };
 
 /**
- * Perform the upload to Amazon S3
+ * Download each object of the storage to a local file, one after the other
  */
-var _upload = function(s3, bucketName, objectName, srcPath, callback) {
-    fs.stat(srcPath, function(err, stat) {
+var _getAll = function(storage, objectAndFilePaths, callback) {
+    if (_.isEmpty(objectAndFilePaths)) {
+        return callback();
+    }
+
+    var objectPath = _.first(objectAndFilePaths)[0];
+    var filePath = _.first(objectAndFilePaths)[1];
+    CoreUtil.logInfo(util.format('Downloading %s to verify it', storage.url(objectPath).white));
+    storage.get(objectPath, filePath, function(err) {
         if (err) {
             return callback(err);
         }
 
-        CoreUtil.logInfo(util.format('Uploading file %s to %s', srcPath.white, util.format('s3://%s', path.join(bucketName, objectName)).white));
-        return s3.PutObject({'BucketName': bucketName, 'ObjectName': objectName, 'ContentLength': stat.size, 'Body': fs.createReadStream(srcPath)}, callback);
+        return _getAll(storage, _.rest(objectAndFilePaths), callback);
+    });
+};
+
+/**
+ * Determine whether or not a checksum file has a checksum of an artifact
+ */
+var _listsArtifact = function(checksumPath, artifactPath) {
+    return _.some(fs.readFileSync(checksumPath, 'utf8').split('\n'), function(line) {
+        var match = line.trim().match(/^[0-9a-fA-F]+\s+\*?(.+)$/);
+        return (match && match[1] === _filename(artifactPath));
+    });
+};
+
+/**
+ * Get the index of a base directory from the storage, or a new index if there is none
+ */
+var _getIndex = function(storage, objectPath, filePath, callback) {
+    storage.exists(objectPath, function(err, exists) {
+        if (err) {
+            return callback(err);
+        } else if (!exists) {
+            return callback(null, {'versions': {}});
+        }
+
+        storage.get(objectPath, filePath, function(err) {
+            if (err) {
+                return callback(err);
+            }
+
+            var index = null;
+            try {
+                index = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            } catch (ex) {
+                return callback(_error(util.format('The index %s is not valid JSON', storage.url(objectPath)), ex.message));
+            }
+
+            index.versions = index.versions || {};
+            return callback(null, index);
+        });
+    });
+};
+
+/**
+ * Recompute the latest version pointers of an index, and sort its versions from newest to oldest
+ */
+var _sortIndex = function(index) {
+    var versions = _.keys(index.versions).sort(compareVersions);
+
+    var sortedIndex = {};
+    var releases = _.filter(versions, function(version) {
+        return (semver.valid(version) && !semver.parse(version).prerelease.length);
+    });
+    if (!_.isEmpty(releases)) {
+        sortedIndex.latest = _.first(releases);
+    }
+
+    var lines = _.chain(releases)
+        .groupBy(function(version) {
+            var parsed = semver.parse(version);
+            return util.format('%s.%s', parsed.major, parsed.minor);
+        })
+        .pairs()
+        .sortBy(function(pair) {
+            return semver.parse(pair[1][0]).major * 100000 + semver.parse(pair[1][0]).minor;
+        })
+        .value();
+    _.each(lines, function(pair) {
+        sortedIndex['latest-' + pair[0]] = _.first(pair[1]);
+    });
+
+    // The versions are sorted from newest to oldest, so the first version of a channel is its latest
+    _.chain(versions)
+        .filter(function(version) {
+            return index.versions[version].channel;
+        })
+        .groupBy(function(version) {
+            return index.versions[version].channel;
+        })
+        .each(function(channelVersions, channel) {
+            sortedIndex['latest-' + channel] = _.first(channelVersions);
+        });
+
+    sortedIndex.versions = {};
+    _.each(versions, function(version) {
+        sortedIndex.versions[version] = index.versions[version];
+    });
+
+    return sortedIndex;
+};
+
+/**
+ * Render an index as an HTML page with links to the artifacts
+ */
+var _renderIndexHtml = function(index, baseDirectory) {
+    var escape = function(str) {
+        return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    };
+
+    var html = [
+        '<!DOCTYPE html>',
+        '<html>',
+        '<head>',
+        '    <meta charset="utf-8">',
+        util.format('    <title>%s releases</title>', escape(baseDirectory)),
+        '</head>',
+        '<body>',
+        util.format('    <h1>%s releases</h1>', escape(baseDirectory)),
+        '    <ul>'
+    ];
+
+    _.each(index, function(version, pointer) {
+        if (pointer !== 'versions') {
+            html.push(util.format('        <li>%s: <a href="#%s">%s</a></li>', escape(pointer), escape(version), escape(version)));
+        }
+    });
+
+    html.push('    </ul>');
+    _.each(index.versions, function(release, version) {
+        html.push(util.format('    <h2 id="%s">%s</h2>', escape(version), escape(version)));
+        html.push(util.format('    <p>Published %s</p>', escape(release.published)));
+        html.push('    <table>');
+        html.push('        <tr><th>Artifact</th><th>Size</th><th>SHA-256</th></tr>');
+        _.each(release.artifacts, function(artifact) {
+            html.push(util.format('        <tr><td><a href="%s">%s</a></td><td>%s</td><td><code>%s</code></td></tr>', escape(artifact.path), escape(artifact.name), escape(artifact.size), escape(artifact.sha256)));
+        });
+        html.push('    </table>');
     });
+
+    html.push('</body>', '</html>');
+    return html.join('\n') + '\n';
+};
+
+/**
+ * Create an empty temporary directory
+ */
+var _createTempDir = function() {
+    // The name of this function changed in node 0.10
+    var tmpDir = os.tmpdir ? os.tmpdir() : os.tmpDir();
+    var dir = path.join(tmpDir, util.format('oae-release-%s-%s', process.pid, _.uniqueId()));
+    shell.rm('-rf', dir);
+    shell.mkdir('-p', dir);
+    return dir;
+};
+
+/**
+ * Create an error for a failure that occurred while uploading
+ */
+var _error = function(message, output) {
+    return new ReleaseError(message, 1, {'step': 'upload', 'output': output});
 };
 
 /**
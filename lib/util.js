@@ -15,25 +15,153 @@
 
 var _ = require('underscore');
 var colors = require('colors');
+var crypto = require('crypto');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
 var semver = require('semver');
 var shell = require('shelljs');
 var util = require('util');
 
+var ReleaseError = require('./error');
+
+// Whether or not operations that change the repository or the remote should only be reported rather than performed
+var _dryRun = false;
+
+// How many calls of `attempt` are in progress, during which failures are not logged
+var _attempts = 0;
+
+// The name of the step that is currently being performed, so failures can be attributed to it
+var _currentStep = null;
+
+// The levels at which messages can be logged, from the most to the least important
+var LOG_LEVELS = module.exports.LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+// The formats in which messages can be logged to the console
+var LOG_FORMATS = module.exports.LOG_FORMATS = ['text', 'json'];
+
+// The level of each kind of message, which determines whether it is shown
+var _messageLevels = {
+    'error': 'error',
+    'warn': 'warn',
+    'success': 'info',
+    'info': 'info',
+    'dry-run': 'info',
+    'debug': 'debug'
+};
+
+// How messages are logged, as configured with `configureLogging`
+var _logging = {
+    'level': 'info',
+    'format': 'text',
+    'file': null
+};
+
 colors.setTheme({
     'error': 'red',
     'warn': 'yellow',
     'success': 'green',
     'info': 'grey',
+    'debug': 'cyan',
     'text': 'grey'
 });
 
+// Follow the NO_COLOR convention (https://no-color.org/) and don't fill logs with escape codes when not on a terminal
+colors.mode = (process.env.NO_COLOR || !process.stdout.isTTY) ? 'none' : 'console';
+
+/**
+ * Configure how messages are logged. Messages below the configured level are not shown on the console, while all
+ * messages are appended to the log file, if any. In the "json" format, each message is logged as one line of JSON
+ * with the fields `time`, `level`, `step` and `message`, and the fields `cmd`, `code` and `duration` for the messages
+ * about executed commands.
+ *
+ * @param  {Object}     opts            How to log messages
+ * @param  {String}     [opts.level]    The level of the least important messages to show: "error", "warn", "info" or "debug". Default: "info"
+ * @param  {String}     [opts.format]   The format of the messages on the console: "text" or "json". Default: "text"
+ * @param  {Boolean}    [opts.color]    Whether to colour the messages in the "text" format. Default: `true` if the output is a terminal and the `NO_COLOR` environment variable is not set
+ * @param  {String}     [opts.file]     The path of a file to which to append all messages as lines of JSON. Default: no file
+ * @param  {Number}     [errCode]       The process error code to return on failure. Default: 1
+ */
+var configureLogging = module.exports.configureLogging = function(opts, errCode) {
+    errCode = errCode || 1;
+
+    var level = opts.level || 'info';
+    var format = opts.format || 'text';
+    if (!_.contains(LOG_LEVELS, level)) {
+        return fail(util.format('The log level "%s" is not one of: %s', level, LOG_LEVELS.join(', ')), errCode);
+    } else if (!_.contains(LOG_FORMATS, format)) {
+        return fail(util.format('The log format "%s" is not one of: %s', format, LOG_FORMATS.join(', ')), errCode);
+    }
+
+    if (opts.file) {
+        try {
+            fs.appendFileSync(opts.file, '');
+        } catch (ex) {
+            return fail('Could not open the log file '.text + opts.file.error, errCode, {'output': ex.message});
+        }
+    }
+
+    // Escape codes would only end up in the JSON messages, so there is no point in colouring them
+    if (format === 'json' || opts.color === false) {
+        colors.mode = 'none';
+    } else if (opts.color === true) {
+        colors.mode = 'console';
+    }
+
+    _logging = {
+        'level': level,
+        'format': format,
+        'file': opts.file ? path.resolve(opts.file) : null
+    };
+};
+
+/**
+ * Log a message. This is what the `logFail`, `logWarn`, `logSuccess`, `logInfo`, `logDryRun` and `logDebug` functions
+ * use, so use those unless the message needs additional fields.
+ *
+ * @param  {String}     type            The kind of message: "error", "warn", "success", "info", "dry-run" or "debug"
+ * @param  {String}     msg             The message to log
+ * @param  {Object}     [fields]        Additional fields to include in the JSON messages (e.g., `cmd` and `duration`)
+ */
+var log = module.exports.log = function(type, msg, fields) {
+    var entry = _.extend({
+        'time': new Date().toISOString(),
+        'level': type,
+        'step': _currentStep,
+        'message': colors.stripColors(msg)
+    }, fields);
+
+    if (_logging.file) {
+        fs.appendFileSync(_logging.file, JSON.stringify(entry) + '\n');
+    }
+
+    if (_.indexOf(LOG_LEVELS, _messageLevels[type]) > _.indexOf(LOG_LEVELS, _logging.level)) {
+        return;
+    }
+
+    var line = null;
+    if (_logging.format === 'json') {
+        line = JSON.stringify(entry);
+    } else {
+        // Each kind of message has a colour of the theme by the same name, except dry-run messages which stand out
+        var label = (type === 'dry-run') ? type.warn : type[type];
+        line = '['.white + label + '] '.white + msg.text;
+    }
+
+    if (type === 'error' || type === 'warn') {
+        console.error(line);
+    } else {
+        console.log(line);
+    }
+};
+
 /**
  * Log the message with failure priority
  *
  * @param  {String}     msg     The message to log
  */
 var logFail = module.exports.logFail = function(msg) {
-    console.error('['.white + 'error'.error + '] '.white + msg.text);
+    log('error', msg);
 };
 
 /**
@@ -42,7 +170,7 @@ var logFail = module.exports.logFail = function(msg) {
  * @param  {String}     msg     The message to log
  */
 var logWarn = module.exports.logWarn = function(msg) {
-    console.warn('['.white + 'warn'.warn + '] '.white + msg.text);
+    log('warn', msg);
 };
 
 /**
@@ -51,7 +179,7 @@ var logWarn = module.exports.logWarn = function(msg) {
  * @param  {String}     msg     The message to log
  */
 var logSuccess = module.exports.logSuccess = function(msg) {
-    console.log('['.white + 'success'.success + '] '.white + msg.text);
+    log('success', msg);
 };
 
 /**
@@ -60,11 +188,148 @@ var logSuccess = module.exports.logSuccess = function(msg) {
  * @param  {String}     msg     The message to log
  */
 var logInfo = module.exports.logInfo = function(msg) {
-    console.log('['.white + 'info'.info + '] '.white + msg.text);
+    log('info', msg);
+};
+
+/**
+ * Log the message as an action that would have been performed if dry-run mode was not enabled
+ *
+ * @param  {String}     msg     The message to log
+ */
+var logDryRun = module.exports.logDryRun = function(msg) {
+    log('dry-run', msg);
+};
+
+/**
+ * Log the message with debug priority. These messages are only shown in verbose mode
+ *
+ * @param  {String}     msg         The message to log
+ * @param  {Object}     [fields]    Additional fields to include in the JSON messages
+ */
+var logDebug = module.exports.logDebug = function(msg, fields) {
+    log('debug', msg, fields);
+};
+
+/**
+ * Determine whether messages of a level are shown on the console. Use this to avoid work that only serves to show
+ * something, such as redrawing a progress bar.
+ *
+ * @param  {String}     level       The level of the messages: "error", "warn", "info" or "debug"
+ * @return {Boolean}                `true` if messages of the level are shown as text, `false` otherwise
+ */
+var isLoggedAsText = module.exports.isLoggedAsText = function(level) {
+    return (_logging.format === 'text' && _.indexOf(LOG_LEVELS, level) <= _.indexOf(LOG_LEVELS, _logging.level));
+};
+
+/**
+ * Enable or disable dry-run mode. When dry-run mode is enabled, operations that would change the local
+ * repository or the remote repository only report what they would do, while all validations still run.
+ *
+ * @param  {Boolean}    dryRun      Whether or not dry-run mode should be enabled
+ */
+var setDryRun = module.exports.setDryRun = function(dryRun) {
+    _dryRun = (dryRun === true);
+    if (_dryRun) {
+        logWarn('Dry-run mode is enabled, no changes will be made to the repository or the remote');
+    }
+};
+
+/**
+ * Determine whether or not dry-run mode is enabled.
+ *
+ * @return {Boolean}    `true` if dry-run mode is enabled, `false` otherwise
+ */
+var isDryRun = module.exports.isDryRun = function() {
+    return _dryRun;
+};
+
+/**
+ * Indicate which step is currently being performed. Any failure that occurs afterward is attributed to this step.
+ *
+ * @param  {String}     stepName    The name of the step (e.g., "validateRelease")
+ */
+var beginStep = module.exports.beginStep = function(stepName) {
+    _currentStep = stepName;
+};
+
+/**
+ * Get the name of the step that is currently being performed.
+ *
+ * @return {String}     The name of the current step. `null` if no step has begun
+ */
+var getCurrentStep = module.exports.getCurrentStep = function() {
+    return _currentStep;
+};
+
+/**
+ * Log the failure message and throw a `ReleaseError` that describes the failure.
+ *
+ * @param  {String}     msg                 The message that describes the failure
+ * @param  {Number}     [errCode]           The process error code associated to the failure. Default: 1
+ * @param  {Object}     [details]           Additional details about the failure
+ * @param  {String}     [details.cmd]       The command that failed
+ * @param  {String}     [details.output]    The output of the command that failed
+ * @throws {ReleaseError}                   Always
+ */
+var fail = module.exports.fail = function(msg, errCode, details) {
+    if (!_attempts) {
+        log('error', msg, _.pick(details || {}, 'cmd', 'output'));
+    }
+
+    throw new ReleaseError(colors.stripColors(msg), errCode, _.extend({'step': _currentStep}, details));
+};
+
+/**
+ * Invoke a function whose failure is not fatal, because the caller carries on or reports the failure in its own way
+ * (e.g., along with other problems). The failures raised with `fail` while the function runs are not logged, and the
+ * error is returned rather than thrown.
+ *
+ * @param  {Function}   fn      The function to invoke
+ * @return {Object}             An object with field `result`, the value returned by the function, and field `err`, the `ReleaseError` with which it failed, if any
+ * @throws {Error}              Errors other than a `ReleaseError` are thrown as is
+ */
+var attempt = module.exports.attempt = function(fn) {
+    _attempts++;
+    try {
+        return {'result': fn(), 'err': null};
+    } catch (err) {
+        if (!(err instanceof ReleaseError)) {
+            throw err;
+        }
+
+        return {'result': undefined, 'err': err};
+    } finally {
+        _attempts--;
+    }
+};
+
+/**
+ * Handle an error at the command-line level by exiting the process with the error code associated to the error. This
+ * provides the exit-on-failure behaviour for scripts that use the library:
+ *
+ * ```javascript
+ * try {
+ *     ReleaseUtil.validateRelease('origin', 2);
+ * } catch (err) {
+ *     CoreUtil.handleError(err);
+ * }
+ * ```
+ *
+ * @param  {Error}      err     The error to handle. If it is not a `ReleaseError`, it is logged and the process exits with code 1
+ */
+var handleError = module.exports.handleError = function(err) {
+    if (!err) {
+        return;
+    } else if (!(err instanceof ReleaseError)) {
+        // Release errors have already been logged when they were raised
+        logFail(err.stack || String(err));
+    }
+
+    return process.exit(err.errCode || 1);
 };
 
 /**
- * Convenience method to execute a command, then log and bail if there is an error.
+ * Convenience method to execute a command, then log and throw a `ReleaseError` if there is an error.
  *
  * @param  {String}     cmd         The command to execute
  * @param  {String}     [errMsg]    The error message to display on failure. Default: something technical but low-level
@@ -73,35 +338,77 @@ var logInfo = module.exports.logInfo = function(msg) {
  */
 var exec = module.exports.exec = function(cmd, errMsg, errCode, loud) {
     errMsg = errMsg || 'There was an error executing command `' + cmd + '`';
+    var start = Date.now();
     var exec = shell.exec(cmd, {'silent': !loud});
+    var duration = Date.now() - start;
+    logDebug(util.format('Executed `%s` in %sms (exit code %s)', cmd, duration, exec.code), {'cmd': cmd, 'code': exec.code, 'duration': duration});
     if (exec.code !== 0) {
-        // If we didn't output to the console through the command, dump the output on stderr
-        if (!loud) {
+        // If we didn't output to the console through the command, dump the output on stderr. JSON messages must stay
+        // one per line, so the output is only logged as a field of the failure then
+        if (!loud && _logging.format === 'text') {
             console.error(exec.output);
         }
 
-        logFail(errMsg.text + util.format(' (`%s` === %s)', cmd, exec.code).error);
-        return process.exit(errCode || exec.code);
+        return fail(errMsg.text + util.format(' (`%s` === %s)', cmd, exec.code).error, errCode || exec.code, {'cmd': cmd, 'output': exec.output});
     }
 
     return exec.output;
 };
 
+/**
+ * Execute a command that changes the state of the repository or the remote. When dry-run mode is enabled, the
+ * command is only logged and not executed.
+ *
+ * @param  {String}     cmd         The command to execute
+ * @param  {String}     [errMsg]    The error message to display on failure. Default: something technical but low-level
+ * @param  {Number}     [errCode]   The error code to return if it fails. Default: the error code of the internal process return code
+ * @param  {Boolean}    [loud]      Whether or not to show the output of the command on the console. Default: `false`
+ * @return {String}                 The output of the command. When in dry-run mode, this is an empty string
+ */
+var execChange = module.exports.execChange = function(cmd, errMsg, errCode, loud) {
+    if (_dryRun) {
+        logDryRun('Would execute: '.text + cmd.white);
+        return '';
+    }
+
+    return exec(cmd, errMsg, errCode, loud);
+};
+
 /**
  * Get the system information of this build machine.
+ *
+ * @return {Object}     An object with fields `nodeVersion`, `npmVersion` (`null` if npm is not installed) and `uname`
  */
 var getSystemInfo = module.exports.getSystemInfo = function() {
+    var npmVersion = shell.exec('npm -v', {'silent': true});
     var systemInfo = {
         'nodeVersion': exec('node -v').trim().slice(1),
+        'npmVersion': (npmVersion.code === 0) ? npmVersion.output.trim() : null,
         'uname': exec('uname -a').trim()
     };
 
     logInfo('Node Version: '.text + systemInfo.nodeVersion.white);
+    logInfo('NPM Version: '.text + String(systemInfo.npmVersion).white);
     logInfo('Platform: '.text + systemInfo.uname.white);
 
     return systemInfo;
 };
 
+/**
+ * Get the identity of whoever runs the release tools, as recorded in the audit log and build information.
+ *
+ * @return {Object}     An object with fields `user` (the system user, or the git identity if it is not known, e.g. in a container) and `host`
+ */
+var getBuilder = module.exports.getBuilder = function() {
+    var user = process.env.USER || process.env.USERNAME;
+    if (!user) {
+        var gitUser = shell.exec('git config user.email', {'silent': true});
+        user = (gitUser.code === 0) ? gitUser.output.trim() : null;
+    }
+
+    return {'user': user, 'host': os.hostname()};
+};
+
 /**
  * Load the package.json file and ensure it is actually for the expected module and a valid version we can
  * work with.
@@ -113,6 +420,7 @@ var getSystemInfo = module.exports.getSystemInfo = function() {
  */
 var loadPackageJson = module.exports.loadPackageJson = function(packageJsonPath, expectedName, errCode) {
     errCode = errCode || 1;
+    beginStep('loadPackageJson');
     var packageJson = null;
 
     // Try and parse it from the file-system
@@ -121,27 +429,23 @@ var loadPackageJson = module.exports.loadPackageJson = function(packageJsonPath,
     } catch (ex) {
         // Ensure it was valid JSON if it existed
         if (ex.code !== 'MODULE_NOT_FOUND') {
-            logFail('Parsing error trying to load '.text + packageJsonPath.error + '. It should be a valid JSON file'.text);
-            throw ex;
+            return fail('Parsing error trying to load '.text + packageJsonPath.error + '. It should be a valid JSON file'.text, errCode, {'output': ex.message});
         }
     }
 
     // Ensure it was found
     if (!packageJson) {
-        logFail('Could not locate the package.json file at '.text + packageJsonPath.error);
-        return process.exit(errCode);
+        return fail('Could not locate the package.json file at '.text + packageJsonPath.error, errCode);
     }
 
     // Ensure it is the Hilary package.json
     if (packageJson.name !== expectedName) {
-        logFail(util.format('The package.json file located at '.text + packageJsonPath.error + ' is not the package.json for the expected module (its "name" attribute is not "%s")', expectedName).text);
-        return process.exit(errCode);
+        return fail(util.format('The package.json file located at '.text + packageJsonPath.error + ' is not the package.json for the expected module (its "name" attribute is not "%s")', expectedName).text, errCode);
     }
 
     // Ensure we have a version we can work with
     if (!semver.valid(packageJson.version)) {
-        logFail('The package.json file located at '.text + packageJsonPath.error + ' does not have a valid version associated to it (its "version" attribute is not set or is not a valid semver version)'.text);
-        return process.exit(errCode);
+        return fail('The package.json file located at '.text + packageJsonPath.error + ' does not have a valid version associated to it (its "version" attribute is not set or is not a valid semver version)'.text, errCode);
     }
 
     logSuccess(util.format('Successfully parsed and validated ' + packageJsonPath + ' (name: %s, version: %s)', packageJson.name, packageJson.version));
@@ -150,15 +454,209 @@ var loadPackageJson = module.exports.loadPackageJson = function(packageJsonPath,
 };
 
 /**
- * Run the unit tests with `grunt test`.
+ * Load the release configuration of a component. The configuration is read from the `oaeRelease` field of its
+ * package.json file, and from its `.oaerelease.json` file whose fields take precedence.
+ *
+ * @param  {String}     [rootDir]   The root directory of the component. Default: the current working directory
+ * @param  {Number}     [errCode]   The process error code to return on failure. Default: 1
+ * @return {Object}                 The release configuration. An empty object if the component has none
+ */
+var loadReleaseConfig = module.exports.loadReleaseConfig = function(rootDir, errCode) {
+    rootDir = rootDir || '.';
+    errCode = errCode || 1;
+
+    var config = {};
+    _.each([['package.json', 'oaeRelease'], ['.oaerelease.json', null]], function(source) {
+        var configPath = path.join(rootDir, source[0]);
+        if (!shell.test('-f', configPath)) {
+            return;
+        }
+
+        var json = readJson(configPath, errCode);
+        _.extend(config, source[1] ? json[source[1]] : json);
+    });
+
+    return config;
+};
+
+/**
+ * Read and parse a JSON file.
+ *
+ * @param  {String}     jsonPath    The path to the JSON file
+ * @param  {Number}     [errCode]   The process error code to return on failure. Default: 1
+ * @return {Object}                 The parsed JSON file
+ */
+var readJson = module.exports.readJson = function(jsonPath, errCode) {
+    try {
+        return JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+    } catch (ex) {
+        return fail('Error trying to load '.text + jsonPath.error + '. It should be a valid JSON file'.text, errCode || 1, {'output': ex.message});
+    }
+};
+
+/**
+ * Convert a glob pattern into a regular expression that matches paths relative to a directory. The pattern matches the
+ * whole relative path, with `*` and `?` matching within a path segment and `**` matching any number of segments. As in
+ * the shell, wildcards don't match the leading `.` of a hidden file or directory (e.g., `*` doesn't match ".git" and
+ * `**\/*.orig` doesn't match "a/.cache/b.orig"), which has to be matched explicitly (e.g., ".*" or "**\/.git").
+ *
+ * @param  {String}     glob    The glob pattern (e.g., "node_modules/oae-*\/tests" or "**\/*.orig")
+ * @return {RegExp}             The regular expression that matches the same paths
+ */
+var globToRegExp = module.exports.globToRegExp = function(glob) {
+    var regex = '';
+    for (var i = 0; i < glob.length; i++) {
+        var c = glob[i];
+
+        // A wildcard at the start of a segment must not match the leading dot of a hidden file
+        var noDot = (i === 0 || glob[i - 1] === '/') ? '(?!\\.)' : '';
+        if (c === '*' && glob[i + 1] === '*') {
+            // A "**/" matches zero or more directories, while a trailing "**" matches the rest of the path
+            if (glob[i + 2] === '/') {
+                regex += '(?:(?!\\.)[^/]*/)*';
+                i += 2;
+            } else {
+                regex += noDot + '[^/]*(?:/(?!\\.)[^/]*)*';
+                i += 1;
+            }
+        } else if (c === '*') {
+            regex += noDot + '[^/]*';
+        } else if (c === '?') {
+            regex += noDot + '[^/]';
+        } else {
+            regex += c.replace(/[\-\[\]{}()+.,\\^$|#\s]/g, '\\$&');
+        }
+    }
+
+    return new RegExp('^' + regex + '$');
+};
+
+/**
+ * Run the unit tests. By default they are run with `grunt test`, but any test command can be used (e.g., `npm test`
+ * or `mocha`). A test command that fails is run again up to `opts.retries` times, so a flaky test does not abort a
+ * release. When the test command writes its results to a JUnit XML or TAP file, the numbers of tests are counted from
+ * that file rather than from the output of the test command.
  *
  * @param  {Number}     [errCode]           The process error code to return on failure. Default: 1
+ * @param  {Object}     [opts]              Optional arguments
+ * @param  {String}     [opts.command]      The command that runs the unit tests. Default: `node_modules/.bin/grunt test`
+ * @param  {Number}     [opts.timeout]      The number of seconds after which a run of the test command, including all the commands it runs, is stopped and considered failed. Requires the `timeout` (or on macOS, `gtimeout`) command of GNU coreutils. Default: no timeout
+ * @param  {Object}     [opts.env]          The environment variables to set for the test command, keyed by name
+ * @param  {Number}     [opts.retries]      The number of times to run the test command again when it fails. Default: 0
+ * @param  {String}     [opts.results]      The path of the JUnit XML or TAP file to which the test command writes its results
+ * @return {Object}                         The summary of the unit tests, with fields `command`, `passed`, `duration` (in milliseconds), `attempts` and, if the results file or test reporter had them, the numbers of `passing`, `failing` and `pending` tests. When there is a results file, the summary also has its `resultsFormat` ("junit" or "tap") and absolute `resultsPath`
  */
-var runUnitTests = module.exports.runUnitTests = function(errCode) {
+var runUnitTests = module.exports.runUnitTests = function(errCode, opts) {
     errCode = errCode || 1;
-    logInfo('Starting to run unit tests');
-    exec('node_modules/.bin/grunt test', 'The unit tests did not succeed, aborting release', errCode, true);
-    logSuccess('Unit tests completed successfully');
+    opts = opts || {};
+    beginStep('runUnitTests');
+
+    var cmd = opts.command || 'node_modules/.bin/grunt test';
+    var retries = _.isUndefined(opts.retries) ? 0 : opts.retries;
+    if (!_.isString(cmd) || !cmd.trim()) {
+        return fail('The test command should be a non-empty string', errCode);
+    } else if (!_.isUndefined(opts.timeout) && !(_.isNumber(opts.timeout) && opts.timeout > 0)) {
+        return fail('The test timeout '.text + String(opts.timeout).error + ' should be a positive number of seconds'.text, errCode);
+    } else if (!(_.isNumber(retries) && retries >= 0 && retries % 1 === 0)) {
+        return fail('The number of test retries '.text + String(retries).error + ' should be a positive integer or 0'.text, errCode);
+    } else if (opts.env && !_.every(opts.env, function(value) { return _.isString(value) || _.isNumber(value) || _.isBoolean(value); })) {
+        return fail('The environment variables of the test command should all be strings, numbers or booleans', errCode);
+    }
+
+    // The whole command is run in a shell by `timeout`, so the timeout also applies to compound commands such as
+    // `npm run build && mocha`. macOS only has the GNU coreutils command as `gtimeout`, once installed
+    var timeoutCmd = cmd;
+    if (opts.timeout) {
+        var timeoutBin = _.find(['timeout', 'gtimeout'], function(bin) {
+            return shell.which(bin);
+        });
+        if (!timeoutBin) {
+            return fail('The test timeout requires the `timeout` command of GNU coreutils, which is not installed (on macOS, install it as `gtimeout` with `brew install coreutils`)', errCode);
+        }
+
+        timeoutCmd = util.format('%s %s sh -c %s', timeoutBin, opts.timeout, quoteShellArg(cmd));
+    }
+
+    var resultsPath = opts.results ? path.resolve(opts.results) : null;
+    var start = Date.now();
+    var result = null;
+    var attempts = 0;
+    while (attempts <= retries) {
+        attempts++;
+        logInfo(util.format('Starting to run unit tests with `%s`%s', cmd, (attempts > 1) ? util.format(' (attempt %s of %s)', attempts, retries + 1) : ''));
+
+        // Remove the results of a previous attempt or run, so they are not mistaken for the results of this attempt
+        if (resultsPath) {
+            shell.rm('-f', resultsPath);
+        }
+
+        result = _execWithEnv(timeoutCmd, opts.env);
+        if (result.code === 0) {
+            break;
+        } else if (opts.timeout && result.code === 124) {
+            logWarn(util.format('The unit tests did not finish within %s seconds', opts.timeout));
+        } else {
+            logWarn(util.format('The unit tests failed (exit code %s)', result.code));
+        }
+    }
+
+    var summary = {
+        'command': cmd,
+        'passed': (result.code === 0),
+        'duration': Date.now() - start,
+        'attempts': attempts
+    };
+
+    var results = null;
+    if (resultsPath) {
+        if (shell.test('-f', resultsPath)) {
+            results = _parseTestResults(fs.readFileSync(resultsPath, 'utf8'));
+            summary.resultsFormat = results.format;
+            summary.resultsPath = resultsPath;
+        } else {
+            logWarn('The test command did not write its results to '.text + resultsPath.warn);
+        }
+    }
+
+    if (results) {
+        summary.passing = _.where(results.tests, {'status': 'passed'}).length;
+        summary.failing = _.where(results.tests, {'status': 'failed'}).length;
+        summary.pending = _.where(results.tests, {'status': 'skipped'}).length;
+    } else {
+        // Mocha reporters end with lines such as "  42 passing (3s)" and "  1 pending"
+        _.each(['passing', 'failing', 'pending'], function(status) {
+            var match = result.output.match(new RegExp('(\\d+) ' + status));
+            if (match) {
+                summary[status] = parseInt(match[1], 10);
+            }
+        });
+    }
+
+    var counts = _.isNumber(summary.passing) ? util.format('%s passed, %s failed, %s skipped', summary.passing, summary.failing || 0, summary.pending || 0) : 'no test counts reported';
+    var message = util.format('Unit tests %s in %ss after %s attempt(s): %s', summary.passed ? 'passed' : 'failed', Math.round(summary.duration / 1000), attempts, counts);
+    log(summary.passed ? 'success' : 'error', message, _.omit(summary, 'command', 'resultsPath'));
+
+    if (!summary.passed) {
+        if (results) {
+            _.chain(results.tests).where({'status': 'failed'}).each(function(test) {
+                logFail('Failed: '.text + test.name.error);
+            });
+        }
+
+        return fail('The unit tests did not succeed, aborting release', errCode, {'cmd': cmd, 'output': result.output});
+    }
+
+    return summary;
+};
+
+/**
+ * Quote a string as a single argument of a shell command.
+ *
+ * @param  {String}     str     The string to quote
+ * @return {String}             The quoted string
+ */
+var quoteShellArg = module.exports.quoteShellArg = function(str) {
+    return util.format('\'%s\'', String(str).replace(/'/g, '\'\\\'\''));
 };
 
 /**
@@ -199,23 +697,26 @@ var gitVersion = module.exports.gitVersion = function(fromTag, errCode) {
  */
 var gitDescribe = module.exports.gitDescribe = function(fromTag, errCode) {
     errCode = errCode || 1;
+    beginStep('gitDescribe');
 
     var cmd = 'git describe --always --tag';
     if (fromTag) {
         cmd += ' --match=' + fromTag;
     }
 
-    // Describe returns something like this: <tag name>-<number of commits since tag>-g<commit hash>
-    var describe = exec(cmd).trim().split('-');
-    describe = {
-        'tag': describe.shift(),
-        'commits': parseInt(describe.shift(), 10),
-        'hash': describe.shift()
+    // Describe returns something like this: <tag name>-<number of commits since tag>-g<commit hash>. The tag name itself
+    // can contain dashes (e.g., 4.2.0-rc.1), so only the last two parts are split off. When the current commit is tagged,
+    // only the tag name is returned
+    var output = exec(cmd).trim();
+    var match = output.match(/^(.+)-(\d+)-(g[0-9a-f]+)$/);
+    var describe = {
+        'tag': match ? match[1] : output,
+        'commits': match ? parseInt(match[2], 10) : NaN,
+        'hash': match ? match[3] : undefined
     };
 
     if (fromTag && fromTag !== describe.tag) {
-        logFail('The source tag of '.text + fromTag.error + ' was not found with git describe'.text);
-        return process.exit(errCode);
+        return fail('The source tag of '.text + fromTag.error + ' was not found with git describe'.text, errCode);
     }
 
     // Git prefixes the hash with a 'g' to indicate it's from git. We'll slice that off because we are aware of this.
@@ -225,3 +726,208 @@ var gitDescribe = module.exports.gitDescribe = function(fromTag, errCode) {
 
     return describe;
 };
+
+/**
+ * Get the timestamp to which the files of a reproducible build are clamped. This is the `SOURCE_DATE_EPOCH`
+ * environment variable if it is set (see https://reproducible-builds.org/specs/source-date-epoch/), or the commit
+ * timestamp of the current checkout otherwise, so two builds of the same commit get the same timestamp.
+ *
+ * @param  {Number}     [errCode]   The process error code to return on failure. Default: 1
+ * @return {Number}                 The timestamp, in seconds since the epoch
+ */
+var getSourceDateEpoch = module.exports.getSourceDateEpoch = function(errCode) {
+    errCode = errCode || 1;
+
+    var epoch = process.env.SOURCE_DATE_EPOCH;
+    if (!epoch) {
+        epoch = exec('git log -1 --format=%ct', 'Error getting the timestamp of the current commit', errCode).trim();
+    }
+
+    if (!/^\d+$/.test(epoch)) {
+        return fail('The source date epoch '.text + epoch.error + ' is not a number of seconds since the epoch'.text, errCode);
+    }
+
+    return parseInt(epoch, 10);
+};
+
+/**
+ * Compute the digest of a file. The file is read in chunks, so large packages do not need to fit in memory.
+ *
+ * @param  {String}     filePath        The path to the file to hash
+ * @param  {String}     algorithm       The hash algorithm to use, as supported by the crypto module (e.g., "sha256", "sha512")
+ * @param  {Number}     [errCode]       The process error code to return on failure. Default: 1
+ * @param  {Object}     [opts]          Optional arguments
+ * @param  {Number}     [opts.start]    The offset of the first byte to hash. Default: 0
+ * @param  {Number}     [opts.length]   The number of bytes to hash. Default: up to the end of the file
+ * @return {String}                     The hex-encoded digest of the file
+ */
+var hashFile = module.exports.hashFile = function(filePath, algorithm, errCode, opts) {
+    errCode = errCode || 1;
+    opts = opts || {};
+
+    var fd = null;
+    try {
+        var hash = crypto.createHash(algorithm);
+
+        // Buffer.alloc does not exist in older versions of node
+        var buffer = Buffer.alloc ? Buffer.alloc(64 * 1024) : new Buffer(64 * 1024);
+        var position = opts.start || 0;
+        var remaining = _.isNumber(opts.length) ? opts.length : Infinity;
+        var bytesRead = 0;
+
+        fd = fs.openSync(filePath, 'r');
+        while (remaining > 0 && (bytesRead = fs.readSync(fd, buffer, 0, Math.min(buffer.length, remaining), position)) > 0) {
+            hash.update(buffer.slice(0, bytesRead));
+            position += bytesRead;
+            remaining -= bytesRead;
+        }
+
+        return hash.digest('hex');
+    } catch (ex) {
+        return fail(util.format('Error computing the %s digest of ', algorithm).text + filePath.error, errCode, {'output': ex.message});
+    } finally {
+        if (fd !== null) {
+            fs.closeSync(fd);
+        }
+    }
+};
+
+/**
+ * Create a progress bar that shows how much of a long-running operation, such as an upload, is done. On a terminal
+ * the bar is redrawn in place, otherwise the progress is logged at every 10%.
+ *
+ * @param  {String}     label       The label of the progress bar (e.g., the name of the file being uploaded)
+ * @param  {Number}     total       The amount of work of the operation (e.g., the size of the file in bytes)
+ * @return {Object}                 The progress bar, with a function `update(delta)` that adds (or with a negative delta, removes) an amount of work that is done and a function `done()` that ends the progress bar
+ */
+var createProgressBar = module.exports.createProgressBar = function(label, total) {
+    var width = 30;
+    var current = 0;
+    var lastLogged = -1;
+
+    var render = function() {
+        var ratio = (total > 0) ? Math.min(current / total, 1) : 1;
+        var percent = Math.floor(ratio * 100);
+        var sizes = util.format('%s/%s MB', (current / 1048576).toFixed(1), (total / 1048576).toFixed(1));
+        if (process.stdout.isTTY && isLoggedAsText('info')) {
+            var filled = Math.round(ratio * width);
+            var bar = new Array(filled + 1).join('#') + new Array(width - filled + 1).join('-');
+            process.stdout.write(util.format('\r%s [%s] %s%% %s', label, bar, percent, sizes));
+        } else if (Math.floor(percent / 10) > lastLogged) {
+            lastLogged = Math.floor(percent / 10);
+            logInfo(util.format('%s: %s%% (%s)', label, percent, sizes));
+        }
+    };
+
+    render();
+    return {
+        'update': function(delta) {
+            current += delta;
+            render();
+        },
+        'done': function() {
+            if (process.stdout.isTTY && isLoggedAsText('info')) {
+                process.stdout.write('\n');
+            }
+        }
+    };
+};
+
+/*!
+ * Execute a command with additional environment variables, showing its output on the console
+ *
+ * @param  {String}     cmd         The command to execute
+ * @param  {Object}     [env]       The environment variables to set for the command, keyed by name
+ * @return {Object}                 The result of the command, with fields `code` and `output`
+ */
+var _execWithEnv = function(cmd, env) {
+    env = _.reduce(env, function(memo, value, name) {
+        memo[name] = String(value);
+        return memo;
+    }, {});
+
+    // The environment is copied when the command is spawned, so it can be restored as soon as it returns
+    var previousEnv = _.pick(process.env, _.keys(env));
+    _.extend(process.env, env);
+
+    var start = Date.now();
+    try {
+        var result = shell.exec(cmd, {'silent': false});
+        var duration = Date.now() - start;
+        logDebug(util.format('Executed `%s` in %sms (exit code %s)', cmd, duration, result.code), {'cmd': cmd, 'code': result.code, 'duration': duration});
+        return result;
+    } finally {
+        _.each(env, function(value, name) {
+            if (_.has(previousEnv, name)) {
+                process.env[name] = previousEnv[name];
+            } else {
+                delete process.env[name];
+            }
+        });
+    }
+};
+
+/*!
+ * Parse the results of a test run, in the JUnit XML or TAP format
+ *
+ * @param  {String}     content     The content of the results file
+ * @return {Object}                 The results, with fields `format` ("junit" or "tap") and `tests`, the tests that ran, each with a `name` and a `status` ("passed", "failed" or "skipped")
+ */
+var _parseTestResults = function(content) {
+    var tests = [];
+    var match = null;
+
+    if (/^\s*</.test(content)) {
+        // A test case is either an empty element, or one that holds a failure, error or skipped element
+        var testCaseRegex = /<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g;
+        while ((match = testCaseRegex.exec(content))) {
+            var className = _getXmlAttribute(match[1], 'classname');
+            var name = _getXmlAttribute(match[1], 'name') || '';
+            var body = match[2] || '';
+
+            var status = 'passed';
+            if (/<(failure|error)\b/.test(body)) {
+                status = 'failed';
+            } else if (/<skipped\b/.test(body)) {
+                status = 'skipped';
+            }
+
+            tests.push({'name': className ? util.format('%s %s', className, name) : name, 'status': status});
+        }
+
+        return {'format': 'junit', 'tests': tests};
+    }
+
+    // Only the test lines of the top-level test plan are counted, as indented lines are the results of subtests. Tests
+    // marked as SKIP or TODO are not expected to pass
+    var testLineRegex = /^(not )?ok\b\s*\d*\s*(?:- )?([^#\n]*?)\s*(?:#\s*(SKIP|TODO)\b[^\n]*)?$/gim;
+    while ((match = testLineRegex.exec(content))) {
+        var testStatus = match[1] ? 'failed' : 'passed';
+        if (match[3]) {
+            testStatus = 'skipped';
+        }
+
+        tests.push({'name': match[2], 'status': testStatus});
+    }
+
+    return {'format': 'tap', 'tests': tests};
+};
+
+/*!
+ * Get the value of an attribute from the attributes of an XML element
+ *
+ * @param  {String}     attributes  The attributes of the element (e.g., ` name="a test" time="0.1"`)
+ * @param  {String}     name        The name of the attribute
+ * @return {String}                 The decoded value of the attribute. `null` if the element does not have the attribute
+ */
+var _getXmlAttribute = function(attributes, name) {
+    var match = attributes.match(new RegExp('\\s' + name + '\\s*=\\s*(?:"([^"]*)"|\'([^\']*)\')'));
+    if (!match) {
+        return null;
+    }
+
+    var entities = {'lt': '<', 'gt': '>', 'amp': '&', 'quot': '"', 'apos': '\''};
+    return (match[1] || match[2] || '').replace(/&(lt|gt|amp|quot|apos);/g, function(entity, entityName) {
+        return entities[entityName];
+    });
+};